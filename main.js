@@ -5,6 +5,9 @@ var obsidian = require('obsidian')
 
 const DO_TESTS = false
 
+// tasks due within this many days count as "due soon"
+const DUE_SOON_DAYS = 3
+
 // Utils
 
 class IdPool {
@@ -100,10 +103,572 @@ const removeHtmlId = keepTrailingWhitespace(function (line) {
     return line.slice(0, headIndex).trimEnd()
 })
 
+// removes only '<!-- id: N -->' markers, other comments stay
+function stripHtmlId(line) {
+    return line.replace(/\s*<!--\s*id\s*:\s*-?\d+\s*-->/gi, '')
+}
+
+// FNV-1a hash as 8 hex digits
+function fingerprint(text) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193) >>> 0
+    }
+    return hash.toString(16).padStart(8, '0')
+}
+
+// Dice coefficient of character bigrams: 1 for equal strings, 0 for nothing in common
+function textSimilarity(a, b) {
+    if (a === b) return 1
+    if (a.length < 2 || b.length < 2) return 0
+
+    const bigrams = new Map()
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2)
+        bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1)
+    }
+
+    let overlap = 0
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2)
+        const count = bigrams.get(bigram) ?? 0
+        if (count > 0) {
+            bigrams.set(bigram, count - 1)
+            overlap++
+        }
+    }
+
+    return 2 * overlap / (a.length + b.length - 2)
+}
+
 function safeToInt(val) {
     return val == null ? null : parseInt(val)
 }
 
+// removes the first match of `regex` from the line, returns [match, line]
+function cutAnnotation(line, regex) {
+    const match = line.match(regex)
+    if (!match) return [null, line]
+
+    const left = line.slice(0, match.index).trimEnd()
+    const right = line.slice(match.index + match[0].length).trimStart()
+    return [match, left && right ? `${left} ${right}` : left + right]
+}
+
+// parses 'YYYY-MM-DD' into a local date, null if malformed
+function parseDate(s) {
+    const match = s?.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    if (!match) return null
+
+    const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10))
+    return isNaN(date.getTime()) ? null : date
+}
+
+// frontmatter dates come as 'YYYY-MM-DD' strings or, when YAML parsed them,
+// as dates at UTC midnight. Returns a local date or null
+function parseFrontmatterDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate())
+    }
+    return parseDate(value == null ? null : String(value).trim())
+}
+
+// 'YYYY-MM-DD' of a date in local time
+function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0')
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate())
+}
+
+// whole calendar days from `from` to `to`, negative if `to` is earlier
+function daysBetween(from, to) {
+    return Math.round((startOfDay(to) - startOfDay(from)) / 86400000)
+}
+
+// runs of consecutive calendar days with something in `times` (ms): the one
+// still going on at `now` (today or up to yesterday) and the longest one
+function computeStreaks(times, now) {
+    const days = [...new Set(times.map(time => startOfDay(new Date(time)).getTime()))].sort((a, b) => a - b)
+
+    let longest = 0
+    let run = 0
+    for (let i = 0; i < days.length; i++) {
+        run = i > 0 && daysBetween(new Date(days[i - 1]), new Date(days[i])) === 1 ? run + 1 : 1
+        longest = Math.max(longest, run)
+    }
+
+    const alive = days.length > 0 && daysBetween(new Date(days[days.length - 1]), new Date(now)) <= 1
+    return { current: alive ? run : 0, longest }
+}
+
+// how neglected a project is, from 0 right after working on it, through 0.5 after one
+// half-life, towards 1. Never worked on or at an unknown time counts as 1
+function neglectScore(lastTime, now, halfLifeDays) {
+    if (lastTime == null) return 1
+
+    const elapsedDays = Math.max(0, now - lastTime) / 86400000
+    return 1 - Math.pow(0.5, elapsedDays / halfLifeDays)
+}
+
+// a last worked time from History.getLastWorkedTimes in words: undefined is never,
+// null is at an unknown time
+function describeLastWorked(lastTime, now) {
+    if (lastTime === undefined) return 'never worked on'
+    if (lastTime === null) return 'long ago'
+
+    const days = daysBetween(new Date(lastTime), new Date(now))
+    return days === 0 ? 'today'
+        : days === 1 ? 'yesterday'
+        : `${days} days ago`
+}
+
+// seedable random number generator (mulberry32), returns numbers in [0, 1) like
+// Math.random, the same sequence for the same seed
+function seededRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// parses 'every 3d', 'every 2 weeks', 'daily', 'weekly', 'monthly', 'weekly on Mon, Thu'
+// or 'every Mon' into { interval, unit: 'day' | 'week' | 'month', weekdays }, null if malformed
+function parseRecurrence(s) {
+    if (s == null) return null
+    s = String(s).trim().toLowerCase().replace(/\s+/g, ' ')
+
+    const named = { daily: 'day', weekly: 'week', monthly: 'month' }
+    if (named[s]) return { interval: 1, unit: named[s], weekdays: [] }
+
+    const units = { d: 'day', day: 'day', days: 'day', w: 'week', week: 'week', weeks: 'week', m: 'month', month: 'month', months: 'month' }
+    let match = s.match(/^every (\d+)? ?([a-z]+)$/)
+    if (match && units[match[2]]) {
+        const interval = match[1] ? parseInt(match[1], 10) : 1
+        return interval > 0 ? { interval, unit: units[match[2]], weekdays: [] } : null
+    }
+
+    match = s.match(/^(?:weekly on|every week on|every) ([a-z, ]+)$/)
+    if (match) {
+        const weekdays = match[1]
+            .split(/,| and | /)
+            .filter(day => day)
+            .map(day => WEEKDAYS.findIndex(name => day.length >= 3 && name.startsWith(day)))
+        if (weekdays.length > 0 && !weekdays.includes(-1)) {
+            return { interval: 1, unit: 'week', weekdays: [...new Set(weekdays)].sort() }
+        }
+    }
+    return null
+}
+
+// start of the day a recurrence last done at `last` is due again
+function nextOccurrence(rule, last) {
+    const day = startOfDay(last)
+    const addDays = (n) => new Date(day.getFullYear(), day.getMonth(), day.getDate() + n)
+
+    if (rule.unit === 'day') return addDays(rule.interval)
+    if (rule.unit === 'week') {
+        if (rule.weekdays.length === 0) return addDays(7 * rule.interval)
+        for (let i = 1; i <= 7; i++) {
+            if (rule.weekdays.includes(addDays(i).getDay())) return addDays(i)
+        }
+    }
+
+    // the same day of a later month, or its last day if that is shorter
+    const lastDayOfMonth = new Date(day.getFullYear(), day.getMonth() + rule.interval + 1, 0).getDate()
+    return new Date(day.getFullYear(), day.getMonth() + rule.interval, Math.min(day.getDate(), lastDayOfMonth))
+}
+
+// parses durations like '15m', '2h', '1h30m' or '1.5h' into minutes, bare numbers are minutes
+function parseDuration(s) {
+    if (s == null) return null
+    s = String(s).trim().toLowerCase().replace(/\s+/g, '')
+    if (/^\d+$/.test(s)) return parseInt(s, 10)
+
+    const match = s.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m)?$/)
+    if (!match || (!match[1] && !match[2])) return null
+
+    return Math.round(parseFloat(match[1] ?? '0') * 60 + parseInt(match[2] ?? '0', 10))
+}
+
+function formatDuration(minutes) {
+    const h = Math.floor(minutes / 60)
+    const m = minutes % 60
+    if (h === 0) return `${m}m`
+    return m === 0 ? `${h}h` : `${h}h ${m}m`
+}
+
+// 'm:ss' of a non-negative ms amount, rounded up to whole seconds
+function formatClock(ms) {
+    const seconds = Math.ceil(Math.max(0, ms) / 1000)
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// converts a glob with '*', '**' and '?' into an anchored regex
+function globToRegExp(glob) {
+    let re = ''
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i]
+        if (ch === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                re += '(?:.*/)?'
+                i += 2
+            } else {
+                re += '.*'
+                i += 1
+            }
+        } else if (ch === '*') {
+            re += '[^/]*'
+        } else if (ch === '?') {
+            re += '[^/]'
+        } else {
+            re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        }
+    }
+    return new RegExp(`^${re}$`)
+}
+
+// true if the path or any of its parent folders matches the glob
+function matchesGlob(path, glob) {
+    const re = globToRegExp(glob.trim().replace(/^\/+|\/+$/g, ''))
+    const parts = path.split('/')
+    for (let i = parts.length; i > 0; i--) {
+        if (re.test(parts.slice(0, i).join('/'))) return true
+    }
+    return false
+}
+
+// cells of the LCS table diffLines builds at most, above it the changed
+// middle becomes a single hunk
+const DIFF_TABLE_LIMIT = 250000
+
+// Line hunks turning `oldLines` into `newLines`: [{ start, removed, added }]
+// with `start` indexing oldLines. Common prefix and suffix are skipped, the
+// rest goes through an LCS table unless it is too big.
+function diffLines(oldLines, newLines) {
+    let prefix = 0
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++
+    }
+
+    let suffix = 0
+    while (
+        suffix < oldLines.length - prefix &&
+        suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+        suffix++
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix)
+    const b = newLines.slice(prefix, newLines.length - suffix)
+    if (a.length === 0 && b.length === 0) return []
+    if (a.length * b.length > DIFF_TABLE_LIMIT) {
+        return [{ start: prefix, removed: a, added: b }]
+    }
+
+    // lcs[i][j] is the length of the longest common subsequence of a[i:] and b[j:]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+        }
+    }
+
+    const hunks = []
+    let hunk = null
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            hunk = null
+            i++
+            j++
+            continue
+        }
+
+        if (!hunk) {
+            hunk = { start: prefix + i, removed: [], added: [] }
+            hunks.push(hunk)
+        }
+
+        if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            hunk.added.push(b[j++])
+        } else {
+            hunk.removed.push(a[i++])
+        }
+    }
+
+    return hunks
+}
+
+// Applies hunks from diffLines(baseLines, ...) to `lines`, which may have been
+// edited since `baseLines` were read. A hunk is anchored by the lines it
+// removes, or, for a pure insertion, by the lines around it, reaching back
+// past blank lines to a line with some text. The anchor is
+// looked for where it is expected, shifted by earlier hunks, and otherwise
+// must occur exactly once further on. Returns null if any hunk can't be placed.
+function applyLineHunks(lines, hunks, baseLines) {
+    const result = [...lines]
+    let delta = 0 // result index minus base index past the last applied hunk
+    let minPos = 0
+
+    for (const hunk of hunks) {
+        let anchor = hunk.removed
+        let anchorOffset = 0
+        if (anchor.length === 0) {
+            let contextStart = Math.max(0, hunk.start - 1)
+            while (contextStart > 0 && baseLines[contextStart].trim() === '' && hunk.start - contextStart < 3) {
+                contextStart--
+            }
+            anchor = baseLines.slice(contextStart, hunk.start + 1)
+            anchorOffset = hunk.start - contextStart
+        }
+
+        const matchesAt = (pos) =>
+            pos >= minPos &&
+            pos + anchor.length <= result.length &&
+            anchor.every((line, k) => result[pos + k] === line)
+
+        let pos = hunk.start + delta - anchorOffset
+        if (!matchesAt(pos)) {
+            const candidates = []
+            for (let p = minPos; p + anchor.length <= result.length; p++) {
+                if (matchesAt(p)) candidates.push(p)
+            }
+            if (candidates.length !== 1) return null
+            pos = candidates[0]
+        }
+
+        const at = pos + anchorOffset
+        result.splice(at, hunk.removed.length, ...hunk.added)
+        minPos = at + hunk.added.length
+        delta = minPos - (hunk.start + hunk.removed.length)
+    }
+
+    return result
+}
+
+// Sets top-level keys of the YAML frontmatter in `lines` and leaves all other
+// keys as they are. `undefined` removes a key, `defaults` are only set for keys
+// the frontmatter doesn't have. A missing frontmatter is created.
+function updateFrontmatterLines(lines, changes, defaults = {}) {
+    lines = [...lines]
+
+    let end = lines[0]?.trimEnd() === '---' ? lines.findIndex((line, i) => i > 0 && line.trimEnd() === '---') : -1
+    if (end === -1) {
+        lines.unshift('---', '---')
+        end = 1
+    }
+
+    const yaml = lines.slice(1, end).join('\n')
+    const current = (yaml.trim() ? obsidian.parseYaml(yaml) : null) ?? {}
+    const entries = { ...changes }
+    for (const key in defaults) {
+        if (current[key] === undefined && !(key in changes)) {
+            entries[key] = defaults[key]
+        }
+    }
+
+    for (const [key, value] of Object.entries(entries)) {
+        if (JSON.stringify(current[key]) === JSON.stringify(value)) continue
+
+        const keyRe = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:`)
+        const keyIndex = lines.findIndex((line, i) => i > 0 && i < end && keyRe.test(line))
+        const newLines = value === undefined ? [] : obsidian.stringifyYaml({ [key]: value }).trimEnd().split('\n')
+
+        if (keyIndex === -1) {
+            lines.splice(end, 0, ...newLines)
+            end += newLines.length
+        } else {
+            // the key line and the indented or list lines nested under it
+            let keyEnd = keyIndex + 1
+            while (keyEnd < end && /^(\s|-(\s|$))/.test(lines[keyEnd])) {
+                keyEnd++
+            }
+            lines.splice(keyIndex, keyEnd - keyIndex, ...newLines)
+            end += newLines.length - (keyEnd - keyIndex)
+        }
+    }
+
+    return lines
+}
+
+// width of leading whitespace, tab counts as 4 spaces
+function getIndentWidth(line) {
+    let width = 0
+    for (const ch of line) {
+        if (ch === ' ') width += 1
+        else if (ch === '\t') width += 4
+        else break
+    }
+    return width
+}
+
+// replaces the lines under `heading` (up to the next heading of the same or a
+// higher level) with `body`, or appends the heading with `body` if it is missing
+function replaceSection(lines, heading, body) {
+    const level = heading.match(/^#+/)[0].length
+    const start = lines.findIndex(line => line.trimEnd() === heading)
+
+    if (start === -1) {
+        const gap = lines.length > 0 && lines[lines.length - 1].trim() !== '' ? [''] : []
+        return [...lines, ...gap, heading, ...body]
+    }
+
+    let end = start + 1
+    while (end < lines.length && !(/^#+\s/.test(lines[end]) && lines[end].match(/^#+/)[0].length <= level)) {
+        end++
+    }
+    const gap = end < lines.length ? [''] : []
+    return [...lines.slice(0, start + 1), ...body, ...gap, ...lines.slice(end)]
+}
+
+const QUERY_FIELDS = ['area', 'project', 'urgency', 'strategy', 'interest', 'effort', 'due']
+const PRIORITY_NAMES = ['urgent', 'high', 'normal', 'low', 'none']
+
+// Parses a filter query like 'area:work urgency>=high -project:"Old Site" effort<30m'
+// into Filter criteria. Terms are 'field:value' or 'field<op>value', or bare words
+// matched against the task text. They are ANDed, 'OR' joins alternatives, '-' or
+// 'NOT' negates and parentheses group.
+// Returns { criteria, error: null } or { criteria: null, error: { message, position } }
+function parseQuery(text) {
+    const tokens = []
+    const tokenRegex = /\s+|(\()|(\))|(-)(?=\S)|"([^"]*)("?)|(>=|<=|>|<|=|:)|([^\s()"<>=:]+)/gy
+    let match
+    while (tokenRegex.lastIndex < text.length && (match = tokenRegex.exec(text))) {
+        const position = match.index
+        if (match[1]) tokens.push({ type: '(', position })
+        else if (match[2]) tokens.push({ type: ')', position })
+        else if (match[3]) tokens.push({ type: '-', position })
+        else if (match[4] !== undefined) {
+            if (!match[5]) return { criteria: null, error: { message: 'Missing closing quote', position } }
+            tokens.push({ type: 'word', value: match[4], quoted: true, position })
+        }
+        else if (match[6]) tokens.push({ type: 'op', value: match[6], position })
+        else if (match[7]) tokens.push({ type: 'word', value: match[7], position })
+    }
+
+    let index = 0
+    const peek = () => tokens[index]
+    const isKeyword = (token, keyword) => token?.type === 'word' && !token.quoted && token.value === keyword
+    const fail = (message, token) => {
+        throw { message, position: token ? token.position : text.length }
+    }
+    const combine = (kind, list) => list.length === 1 ? list[0] : { [kind]: list }
+
+    const parseValue = (field, op, token) => {
+        if (!token || token.type !== 'word') fail(`Expected a value after "${field}${op}"`, token)
+        const value = token.value.toLowerCase()
+        const ops = ['area', 'project', 'due'].includes(field) ? [':', '='] : [':', '=', '>=', '<=', '>', '<']
+        if (!ops.includes(op)) fail(`"${field}" can't be compared with "${op}"`, token)
+        op = op === ':' ? '=' : op
+
+        if (field === 'area' || field === 'project') return { field, op, value: token.value }
+        if (field === 'due') {
+            if (value !== 'soon' && value !== 'overdue') fail(`Expected "soon" or "overdue", not "${token.value}"`, token)
+            return { field, op, value }
+        }
+        if (field === 'effort') {
+            const minutes = parseDuration(value)
+            if (minutes === null) fail(`"${token.value}" is not a duration like 30m or 1h`, token)
+            return { field, op, value: minutes }
+        }
+        if (!PRIORITY_NAMES.includes(value)) fail(`"${token.value}" is not one of ${PRIORITY_NAMES.join(', ')}`, token)
+        return { field, op, value }
+    }
+
+    const parseUnary = () => {
+        const token = peek()
+        if (!token) fail('Expected a term')
+
+        if (token.type === '-' || isKeyword(token, 'NOT')) {
+            index++
+            return { not: parseUnary() }
+        }
+        if (token.type === '(') {
+            index++
+            const criteria = parseOr()
+            if (peek()?.type !== ')') fail('Missing ")"', peek())
+            index++
+            return criteria
+        }
+        if (token.type !== 'word') fail(`Unexpected "${token.value ?? token.type}"`, token)
+
+        index++
+        if (peek()?.type === 'op' && !token.quoted) {
+            const field = token.value.toLowerCase()
+            if (!QUERY_FIELDS.includes(field)) fail(`Unknown field "${token.value}", expected one of ${QUERY_FIELDS.join(', ')}`, token)
+            const op = tokens[index++].value
+            return parseValue(field, op, tokens[index++])
+        }
+        return { field: 'text', op: '=', value: token.value }
+    }
+
+    const parseAnd = () => {
+        const list = [parseUnary()]
+        while (peek() && peek().type !== ')' && !isKeyword(peek(), 'OR')) {
+            if (isKeyword(peek(), 'AND')) index++
+            list.push(parseUnary())
+        }
+        return combine('and', list)
+    }
+
+    const parseOr = () => {
+        const list = [parseAnd()]
+        while (isKeyword(peek(), 'OR')) {
+            index++
+            list.push(parseAnd())
+        }
+        return combine('or', list)
+    }
+
+    try {
+        if (tokens.length === 0) return { criteria: null, error: null }
+
+        const criteria = parseOr()
+        if (index < tokens.length) fail('Unexpected ")"', peek())
+        return { criteria, error: null }
+    } catch (error) {
+        return { criteria: null, error }
+    }
+}
+
+// presets keep either criteria from the filter builder or a query
+function getPresetCriteria(preset) {
+    return preset.query !== undefined ? parseQuery(preset.query) : { criteria: preset.criteria, error: null }
+}
+
+function describeQueryError({ message, position }) {
+    return `Column ${position + 1}: ${message}`
+}
+
+// writes criteria back as a query that parseQuery reads into the same criteria
+function formatQuery(criteria) {
+    if (!criteria) return ''
+
+    const quote = (value) => /^[^\s()"<>=:-][^\s()"<>=:]*$/.test(value) && !['AND', 'OR', 'NOT'].includes(value) ? value : `"${value}"`
+    const group = (c) => c.and || c.or ? `(${formatQuery(c)})` : formatQuery(c)
+
+    if (criteria.and) return criteria.and.map(c => c.or ? group(c) : formatQuery(c)).join(' ')
+    if (criteria.or) return criteria.or.map(formatQuery).join(' OR ')
+    if (criteria.not) return `-${group(criteria.not)}`
+
+    const { field, op, value } = criteria
+    if (field === 'text') return quote(value)
+    if (field === 'effort') return `effort${op === '=' ? ':' : op}${value}m`
+    return `${field}${op === '=' ? ':' : op}${quote(String(value))}`
+}
+
 // Utils tests
 
 if (DO_TESTS) {
@@ -139,6 +704,155 @@ if (DO_TESTS) {
             checkEq(setHtmlId(" Task \n", 1), " Task <!-- id: 1 --> \n")
             checkEq(setHtmlId(" Task \n", 1), " Task <!-- id: 1 --> \n")
 
+            checkEq(stripHtmlId("- [ ] Task <!-- id: 15 -->"), "- [ ] Task")
+            checkEq(stripHtmlId("- [ ] Task <!-- note --> <!-- id: 15 --> \n"), "- [ ] Task <!-- note --> \n")
+
+            checkEq(fingerprint("task"), fingerprint("task"))
+            checkNeq(fingerprint("task"), fingerprint("tusk"))
+            checkEq(textSimilarity("wash the cat", "wash the cat"), 1)
+            checkEq(textSimilarity("wash the cat", "feed the dog") < 0.6, true)
+            checkEq(textSimilarity("wash the cat", "wash the cats!") > 0.8, true)
+            checkEq(textSimilarity("a", "b"), 0)
+
+            const base = ["## TODO", "", "- [ ] A", "- [ ] B", "", "## Done", ""]
+            const edited = ["## TODO", "", "- [ ] B <!-- id: 1 -->", "", "## Done", "", "- [x] A"]
+            const hunks = diffLines(base, edited)
+            checkEq(applyLineHunks(base, hunks, base).join("|"), edited.join("|"))
+            const userEdited = ["# Notes", ...base.slice(0, 4), "- [ ] C", ...base.slice(4)]
+            checkEq(
+                applyLineHunks(userEdited, hunks, base).join("|"),
+                ["# Notes", "## TODO", "", "- [ ] B <!-- id: 1 -->", "- [ ] C", "", "## Done", "", "- [x] A"].join("|")
+            )
+            checkEq(applyLineHunks(["## TODO", "", "- [ ] A changed"], hunks, base), null)
+            checkEq(diffLines(base, base).length, 0)
+            const bigBase = Array.from({ length: 1000 }, (_, i) => `- [ ] Task ${i}`)
+            const bigEdited = ["## TODO", ...bigBase.map(line => line + " <!-- id: 1 -->"), ""]
+            checkEq(diffLines(bigBase, bigEdited).length, 1)
+            checkEq(applyLineHunks(bigBase, diffLines(bigBase, bigEdited), bigBase).join("|"), bigEdited.join("|"))
+
+            checkEq(
+                updateFrontmatterLines(["---", "title: x", "areas:", "  - a", "id: 1", "---", "body"], { areas: ["b"] }, { id: 5, urgency: "low" }).join("|"),
+                ["---", "title: x", "areas:", "  - b", "id: 1", "urgency: low", "---", "body"].join("|")
+            )
+            checkEq(updateFrontmatterLines(["body"], { id: 2 }).join("|"), ["---", "id: 2", "---", "body"].join("|"))
+            checkEq(updateFrontmatterLines(["---", "a: 1", "b: 2", "---"], { a: undefined }).join("|"), ["---", "b: 2", "---"].join("|"))
+
+            checkEq(getIndentWidth("- [ ] Task"), 0)
+            checkEq(getIndentWidth("  - [ ] Task"), 2)
+            checkEq(getIndentWidth("\t  - [ ] Task"), 6)
+
+            checkEq(replaceSection(["# Day", "notes"], "## Plan", ["- [ ] a"]).join("|"), "# Day|notes||## Plan|- [ ] a")
+            checkEq(replaceSection([], "## Plan", ["- [ ] a"]).join("|"), "## Plan|- [ ] a")
+            checkEq(
+                replaceSection(["## Plan", "- [ ] old", "### Sub", "x", "", "## Log", "y"], "## Plan", ["- [x] a"]).join("|"),
+                "## Plan|- [x] a||## Log|y"
+            )
+
+            checkEq(cutAnnotation("Task @due(2026-11-01) now", /@due\((.*?)\)/)[1], "Task now")
+            checkEq(cutAnnotation("Task @due(2026-11-01)", /@due\((.*?)\)/)[0][1], "2026-11-01")
+            checkEq(cutAnnotation("Task", /@due\((.*?)\)/)[0], null)
+            checkEq(parseDate("2026-11-01").getDate(), 1)
+            checkEq(formatDate(new Date(2026, 0, 5, 23)), "2026-01-05")
+            checkEq(formatDate(parseFrontmatterDate(new Date(Date.UTC(2026, 10, 1)))), "2026-11-01")
+            checkEq(formatDate(parseFrontmatterDate(" 2026-11-01 ")), "2026-11-01")
+            checkEq(parseFrontmatterDate(undefined), null)
+            checkEq(parseDate("2026-11"), null)
+            checkEq(daysBetween(new Date(2026, 9, 31, 23), new Date(2026, 10, 1)), 1)
+            checkEq(daysBetween(new Date(2026, 10, 3), new Date(2026, 10, 1, 12)), -2)
+
+            const day = (d, h = 12) => new Date(2026, 10, d, h).getTime()
+            checkEq(computeStreaks([], day(5)).longest, 0)
+            checkEq(computeStreaks([day(1), day(2, 8), day(2, 20), day(3), day(5)], day(5)).current, 1)
+            checkEq(computeStreaks([day(1), day(2, 8), day(2, 20), day(3), day(5)], day(5)).longest, 3)
+            checkEq(computeStreaks([day(1), day(2), day(3)], day(4)).current, 3)
+            checkEq(computeStreaks([day(1), day(2), day(3)], day(5)).current, 0)
+
+            checkEq(neglectScore(null, 0, 7), 1)
+            checkEq(neglectScore(1000, 1000, 7), 0)
+            checkEq(neglectScore(0, 7 * 86400000, 7), 0.5)
+            checkEq(neglectScore(0, 14 * 86400000, 7), 0.75)
+
+            checkEq(describeLastWorked(undefined, day(5)), 'never worked on')
+            checkEq(describeLastWorked(day(5, 8), day(5)), 'today')
+            checkEq(describeLastWorked(day(2), day(5)), '3 days ago')
+
+            const sequence = (seed) => { const random = seededRandom(seed); return [random(), random(), random()] }
+            checkEq(JSON.stringify(sequence(42)), JSON.stringify(sequence(42)))
+            checkEq(JSON.stringify(sequence(42)) === JSON.stringify(sequence(43)), false)
+            checkEq(sequence(7).every(x => x >= 0 && x < 1), true)
+
+            const rule = (s) => JSON.stringify(parseRecurrence(s))
+            checkEq(rule("every 3d"), '{"interval":3,"unit":"day","weekdays":[]}')
+            checkEq(rule("Every 2 weeks"), '{"interval":2,"unit":"week","weekdays":[]}')
+            checkEq(rule("monthly"), '{"interval":1,"unit":"month","weekdays":[]}')
+            checkEq(rule("weekly on Thu, Mon"), '{"interval":1,"unit":"week","weekdays":[1,4]}')
+            checkEq(rule("every tuesday"), '{"interval":1,"unit":"week","weekdays":[2]}')
+            checkEq(rule("every 0d"), 'null')
+            checkEq(rule("weekly on mo"), 'null')
+            checkEq(rule("sometimes"), 'null')
+            checkEq(formatDate(nextOccurrence(parseRecurrence("every 3d"), new Date(2026, 9, 30, 18))), "2026-11-02")
+            checkEq(formatDate(nextOccurrence(parseRecurrence("weekly"), new Date(2026, 9, 30))), "2026-11-06")
+            // 2026-10-30 is a Friday
+            checkEq(formatDate(nextOccurrence(parseRecurrence("weekly on Mon, Fri"), new Date(2026, 9, 30))), "2026-11-02")
+            checkEq(formatDate(nextOccurrence(parseRecurrence("monthly"), new Date(2026, 0, 31))), "2026-02-28")
+
+            const query = (s) => JSON.stringify(parseQuery(s))
+            checkEq(
+                query('area:work urgency>=high -project:"Old Site" effort<30m'),
+                JSON.stringify({ criteria: { and: [
+                    { field: "area", op: "=", value: "work" },
+                    { field: "urgency", op: ">=", value: "high" },
+                    { not: { field: "project", op: "=", value: "Old Site" } },
+                    { field: "effort", op: "<", value: 30 }
+                ] }, error: null })
+            )
+            checkEq(
+                query("(area:work OR area:home) NOT due:overdue"),
+                JSON.stringify({ criteria: { and: [
+                    { or: [{ field: "area", op: "=", value: "work" }, { field: "area", op: "=", value: "home" }] },
+                    { not: { field: "due", op: "=", value: "overdue" } }
+                ] }, error: null })
+            )
+            checkEq(query("  "), JSON.stringify({ criteria: null, error: null }))
+            checkEq(query("plants"), JSON.stringify({ criteria: { field: "text", op: "=", value: "plants" }, error: null }))
+            checkEq(parseQuery("aera:work").error.message.startsWith('Unknown field "aera"'), true)
+            checkEq(parseQuery("area:work urgency>=hihg").error.position, 19)
+            checkEq(parseQuery("(area:work").error.message, 'Missing ")"')
+            checkEq(parseQuery("area:work)").error.position, 9)
+            checkEq(parseQuery('project:"Old').error.message, "Missing closing quote")
+            checkEq(parseQuery("area>work").error.position, 5)
+            checkEq(parseQuery("urgency>=").error.position, 9)
+            for (const q of ['area:work urgency>=high -project:"Old Site" effort<30m', "(area:work OR area:home) -(due:soon OR strategy:low) fix", "a OR b c"]) {
+                checkEq(JSON.stringify(parseQuery(formatQuery(parseQuery(q).criteria))), JSON.stringify(parseQuery(q)))
+            }
+
+            checkEq(parseDuration("15m"), 15)
+            checkEq(parseDuration("2h"), 120)
+            checkEq(parseDuration("1h30m"), 90)
+            checkEq(parseDuration("1.5h"), 90)
+            checkEq(parseDuration(45), 45)
+            checkEq(parseDuration("soon"), null)
+            checkEq(parseDuration(""), null)
+            checkEq(formatDuration(90), "1h 30m")
+            checkEq(formatDuration(120), "2h")
+            checkEq(formatClock(25 * 60000), "25:00")
+            checkEq(formatClock(61001), "1:02")
+            checkEq(formatClock(-5), "0:00")
+
+            checkEq(matchesGlob("Work/Site.md", "Work/*.md"), true)
+            checkEq(matchesGlob("Work/Old/Site.md", "Work/*.md"), false)
+            checkEq(matchesGlob("Work/Old/Site.md", "Work/**/*.md"), true)
+            checkEq(matchesGlob("Site.md", "**/*.md"), true)
+            checkEq(matchesGlob("Templates/Board.md", "Templates"), true)
+            checkEq(matchesGlob("Home/Archive/Old.md", "**/Archive"), true)
+            checkEq(matchesGlob("Home/Archived.md", "**/Archive"), false)
+            checkEq(matchesGlob("Home/a+b.md", "Home/a+?.md"), true)
+
+            checkEq(matchesColumnPattern(" In Work ", "in work"), true)
+            checkEq(matchesColumnPattern("In Work", "work"), false)
+            checkEq(matchesColumnPattern("In Progress", "/^in (work|progress)$/i"), true)
+            checkEq(matchesColumnPattern("Backlog", "/[/"), false)
+
             if (testsOk) {
                 console.log("Tests passed!")
             }
@@ -180,15 +894,9 @@ class Priority {
         return !Priority.isConsiderable(priority)
     }
 
-    static getWeight(priority) {
-        switch (priority) {
-            case Priority.NONE: return 0
-            case Priority.LOW: return 1
-            case Priority.NORMAL: return 2
-            case Priority.HIGH: return 4
-            case Priority.URGENT: return 8
-            default: return 2
-        }
+    // `weights` maps priority names to weights, see DEFAULT_PRIORITY_WEIGHTS
+    static getWeight(priority, weights = DEFAULT_PRIORITY_WEIGHTS) {
+        return weights[PRIORITY_NAMES[priority]] ?? weights.normal
     }
 }
 
@@ -199,17 +907,106 @@ class Todo {
         this.link = ''
         this.project = null
         this.board = null
+        this.parent = null
+        this.children = []
+        this.dueDate = null
+        this.effort = null // minutes
+        this.blockedBy = [] // todo ids
+        this.recurrence = null // { interval, unit, weekdays }, see parseRecurrence
+        this.lastDone = null // ms of the last completion of a recurring todo
     }
 
     isUrgent() {
         return this.desc.startsWith('!')
     }
 
+    // earliest due date of the todo and its parents
+    getDueDate() {
+        let dueDate = null
+        for (const todo of [...this.getAncestors(), this]) {
+            if (todo.dueDate && (!dueDate || todo.dueDate < dueDate)) {
+                dueDate = todo.dueDate
+            }
+        }
+        return dueDate
+    }
+
+    isOverdue(now = new Date()) {
+        const dueDate = this.getDueDate()
+        return dueDate !== null && daysBetween(now, dueDate) < 0
+    }
+
+    isDueSoon(now = new Date()) {
+        const dueDate = this.getDueDate()
+        return dueDate !== null && daysBetween(now, dueDate) <= DUE_SOON_DAYS
+    }
+
+    // urgency implied by the due date, rises as the deadline approaches
+    getDueUrgency(now = new Date()) {
+        const dueDate = this.getDueDate()
+        if (!dueDate) return Priority.NONE
+
+        const daysLeft = daysBetween(now, dueDate)
+        if (daysLeft <= 0) return Priority.URGENT
+        if (daysLeft <= 2) return Priority.HIGH
+        if (daysLeft <= 7) return Priority.NORMAL
+        if (daysLeft <= 14) return Priority.LOW
+        return Priority.NONE
+    }
+
+    // start of the day a recurring todo is due again, null if it is not
+    // recurring or was never done
+    getNextOccurrence() {
+        if (!this.recurrence || this.lastDone === null) return null
+        return nextOccurrence(this.recurrence, new Date(this.lastDone))
+    }
+
+    isRecurrenceDue(now = new Date()) {
+        const next = this.getNextOccurrence()
+        return next === null || daysBetween(now, next) <= 0
+    }
+
+    // a recurrence left undone past its day gets more urgent, urgent once a
+    // whole period has been missed
+    getRecurrenceUrgency(now = new Date()) {
+        const next = this.getNextOccurrence()
+        if (!next) return Priority.NONE
+
+        const overdueDays = daysBetween(next, now)
+        if (overdueDays <= 0) return Priority.NONE
+        return now >= nextOccurrence(this.recurrence, next) ? Priority.URGENT : Priority.HIGH
+    }
+
+    getAncestors() {
+        const ancestors = []
+        for (let p = this.parent; p; p = p.parent) {
+            ancestors.unshift(p)
+        }
+        return ancestors
+    }
+
+    // first open leaf subtask `isAvailable` accepts, or the todo itself if it
+    // has no open subtasks. Null if none of the leaves is available
+    getNextLeaf(isAvailable = () => true) {
+        if (this.children.length === 0) return isAvailable(this) ? this : null
+
+        for (const child of this.children) {
+            const leaf = child.getNextLeaf(isAvailable)
+            if (leaf) return leaf
+        }
+        return null
+    }
+
+    // description prefixed with parent todos as context
+    getContextDesc() {
+        return [...this.getAncestors(), this].map(t => t.desc).join(' › ')
+    }
+
     getUrgency() {
-        if (this.isUrgent()) {
+        if (this.isUrgent() || this.getAncestors().some(t => t.isUrgent())) {
             return Priority.URGENT
         } else {
-            return this.project.urgency
+            return Math.min(this.project.urgency, this.getDueUrgency(), this.getRecurrenceUrgency())
         }
     }
 
@@ -217,29 +1014,92 @@ class Todo {
         return this.project.strategy
     }
 
+    // estimated minutes, falls back to the project default
+    getEffort() {
+        return this.effort ?? this.project.defaultEffort
+    }
+
     getInterest() {
         return this.project.interest
     }
 
+    // priority in a scoring dimension: urgency, strategy, interest or a custom one
+    getDimension(name) {
+        switch (name) {
+            case 'urgency': return this.getUrgency()
+            case 'strategy': return this.getStrategy()
+            case 'interest': return this.getInterest()
+            default: return this.project.dimensions[name] ?? Priority.NONE
+        }
+    }
+
     toString() {
         return `${this.project.name}: ${this.desc}`
     }
 }
 
 const BoardType = {
+    IGNORED: 0,
     DEEP_TODO: 1,
     TODO: 2,
     IN_WORK: 3,
     REPETITIVE: 4
 }
 
+// board roles as they are stored in settings
+const BoardTypeNames = {
+    [BoardType.IGNORED]: 'ignored',
+    [BoardType.DEEP_TODO]: 'deep-todo',
+    [BoardType.TODO]: 'todo',
+    [BoardType.IN_WORK]: 'in-work',
+    [BoardType.REPETITIVE]: 'repetitive'
+}
+
+function boardTypeFromName(name) {
+    for (const type in BoardTypeNames) {
+        if (BoardTypeNames[type] === name) return parseInt(type, 10)
+    }
+    return null
+}
+
+const DEFAULT_COLUMN_RULES = [
+    { pattern: 'in work', role: 'in-work' },
+    { pattern: 'todo', role: 'todo' },
+    { pattern: 'deep todo', role: 'deep-todo' },
+    { pattern: 'repetitive', role: 'repetitive' }
+]
+
+// a pattern in slashes like '/^back/i' is a regex, anything else matches the whole heading ignoring case
+function matchesColumnPattern(heading, pattern) {
+    const regexMatch = pattern.match(/^\/(.*)\/([a-z]*)$/)
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]).test(heading)
+        } catch (err) {
+            return false
+        }
+    }
+    return heading.trim().toLowerCase() === pattern.trim().toLowerCase()
+}
+
 class Board {
     constructor() {
         this.id = null
-        this.todos = []
+        this.todos = [] // all todos including subtasks, in file order
         this.project = null
     }
 
+    getRootTodos() {
+        return this.todos.filter(todo => todo.parent === null)
+    }
+
+    // at most one todo per top-level item: its next available open leaf subtask
+    getActionableTodos(isAvailable = () => true) {
+        return this.getRootTodos()
+            .map(todo => todo.getNextLeaf(isAvailable))
+            .filter(leaf => leaf !== null)
+    }
+
     toString() {
         return `${this.constructor.name}: ${this.todos.map(todo => todo.toString()).join(', ')}`
     }
@@ -249,6 +1109,7 @@ class KanbanBoard extends Board {
     constructor() {
         super()
         this.type = null
+        this.name = ''
     }
 
     toString() {
@@ -282,26 +1143,40 @@ class Project {
         this.urgency = Priority.NONE
         this.strategy = Priority.NONE
         this.interest = Priority.NONE
+        this.dimensions = {} // custom dimension name -> Priority
         this.areas = []
+        this.defaultEffort = null // minutes
+        this.snoozeUntil = null // Date, hidden before that day
+    }
+
+    isSnoozed(now = new Date()) {
+        return this.snoozeUntil !== null && daysBetween(now, this.snoozeUntil) > 0
     }
 
-    getTodosByType(type) {
+    getTodosByType(type, isAvailable = () => true) {
         if (this.projectType === ProjectType.MD) return []
-        for (const board of this.boards) {
-            if (board.type === type) return board.todos
-        }
-        return []
+        return this.boards
+            .filter(board => board.type === type)
+            .flatMap(board => board.getActionableTodos(isAvailable))
     }
 
-    getAvailableTodos() {
+    // `isAvailable` drops todos that can't be worked on right now. Repetitive
+    // todos are always taken, of the others only the first board role in
+    // `fallbackOrder` that has anything available.
+    getAvailableTodos(isAvailable = () => true, fallbackOrder = [BoardType.IN_WORK, BoardType.TODO]) {
         let todos = []
         if (this.projectType === ProjectType.KANBAN) {
-            todos = [...this.getTodosByType(BoardType.REPETITIVE)]
-            const inWork = this.getTodosByType(BoardType.IN_WORK)
-            todos.push(...(inWork.length > 0 ? inWork : this.getTodosByType(BoardType.TODO)))
+            todos = [...this.getTodosByType(BoardType.REPETITIVE, isAvailable)]
+            for (const type of fallbackOrder) {
+                const typeTodos = this.getTodosByType(type, isAvailable)
+                if (typeTodos.length > 0) {
+                    todos.push(...typeTodos)
+                    break
+                }
+            }
         } else if (this.projectType === ProjectType.MD) {
             for (const board of this.boards) {
-                todos.push(...board.todos)
+                todos.push(...board.getActionableTodos(isAvailable))
             }
         }
         return todos
@@ -320,41 +1195,168 @@ class ProjectsLibrary {
     }
 
     async load() {
-        const root = this.plugin.app.vault.getFolderByPath(obsidian.normalizePath(this.plugin.save.busyMangoDir))
-
-        for (const file of root.children) {
-            if (file instanceof obsidian.TFile) {
-                if (file.extension == 'md') {
-                    const holder = new ProjectFileManipulator(file, this.plugin)
-                    await holder.load()
-                    this.projects.push(holder.project)
-                    this.projectFileManipulators.push(holder)
-                }
+        const root = this.getRoot()
+        if (!root) {
+            console.warn(`Busy Mango: folder ${this.plugin.save.busyMangoDir} not found`)
+            return
+        }
+
+        const files = []
+
+        obsidian.Vault.recurseChildren(root, (file) => {
+            if (this.isProjectFile(file)) {
+                files.push(file)
+            }
+        })
+
+        for (const file of files) {
+            try {
+                const holder = await this.loadProjectFile(file)
+                this.projects.push(holder.project)
+                this.projectFileManipulators.push(holder)
+            } catch (err) {
+                console.warn(`Busy Mango: skipping ${file.path}:`, err.message)
             }
         }
 
-        this.fixMissingIds()
+        await this.fixMissingIds()
     }
 
-    fixMissingIds() {
-        const fixIds = (items, setIdCb) => {
-            const occupiedIds = []
-            const missingIds = []
+    // Re-parses whatever now lives at `path`: a changed project file is
+    // replaced in place, a new one is added, a deleted or excluded one is
+    // dropped. A file that fails to parse keeps its last good state.
+    // Folders are handled file by file.
+    async reloadPath(path) {
+        const file = this.plugin.app.vault.getAbstractFileByPath(path)
+
+        if (file instanceof obsidian.TFolder) {
+            const files = []
+            obsidian.Vault.recurseChildren(file, (child) => {
+                if (child instanceof obsidian.TFile) files.push(child)
+            })
+            for (const child of files) {
+                await this.reloadPath(child.path)
+            }
+            return
+        }
 
-            items.forEach((item, index) => {
-                if (Array.isArray(item)) {
-                    item = item[0]
+        if (!file) {
+            // deleted or renamed away, possibly a whole folder
+            for (const holder of [...this.projectFileManipulators]) {
+                const holderPath = holder.projectFile.path
+                if (holderPath === path || holderPath.startsWith(path + '/')) {
+                    this.removeFile(holderPath)
                 }
+            }
+            return
+        }
 
-                if (item.id === undefined) {
-                    throw new Error('Item missing an ID attribute.')
-                }
+        if (!this.isProjectFile(file)) {
+            this.removeFile(path)
+            return
+        }
 
-                if (item.id === null) {
-                    missingIds.push(index)
-                } else {
-                    occupiedIds.push(item.id)
-                }
+        let holder = null
+        try {
+            holder = await this.loadProjectFile(file)
+        } catch (err) {
+            // likely a half-done edit: keep the last good project and its ids
+            console.warn(`Busy Mango: skipping ${file.path}:`, err.message)
+            return
+        }
+
+        const index = this.indexOfFile(path)
+        if (index === -1) {
+            this.projects.push(holder.project)
+            this.projectFileManipulators.push(holder)
+        } else {
+            this.projects[index] = holder.project
+            this.projectFileManipulators[index] = holder
+        }
+
+        await this.fixMissingIds()
+    }
+
+    removeFile(path) {
+        this.plugin.idIndex.remove(path)
+
+        const index = this.indexOfFile(path)
+        if (index === -1) return
+
+        this.projects.splice(index, 1)
+        this.projectFileManipulators.splice(index, 1)
+    }
+
+    indexOfFile(path) {
+        return this.projectFileManipulators.findIndex(holder => holder.projectFile.path === path)
+    }
+
+    getRoot() {
+        return this.plugin.app.vault.getFolderByPath(obsidian.normalizePath(this.plugin.save.busyMangoDir))
+    }
+
+    // path relative to the Busy Mango folder, null if the file is outside of it
+    getRelativePath(path) {
+        const root = this.getRoot()
+        if (!root) return null
+        if (root.isRoot()) return path
+        return path.startsWith(root.path + '/') ? path.slice(root.path.length + 1) : null
+    }
+
+    isProjectFile(file) {
+        if (!(file instanceof obsidian.TFile) || file.extension !== 'md') return false
+
+        const relativePath = this.getRelativePath(file.path)
+        if (relativePath === null) return false
+        // the daily plan is written into daily notes, they are never boards
+        if (this.plugin.isDailyNote(file)) return false
+
+        const { includePatterns, excludePatterns } = this.plugin.save
+        // with the whole vault as the projects folder, subfolders are only
+        // scanned when include patterns ask for them
+        if (this.getRoot().isRoot() && includePatterns.length === 0 && relativePath.includes('/')) {
+            return false
+        }
+        if (includePatterns.length > 0 && !includePatterns.some(glob => matchesGlob(relativePath, glob))) {
+            return false
+        }
+        return !excludePatterns.some(glob => matchesGlob(relativePath, glob))
+    }
+
+    async loadProjectFile(file) {
+        const holder = new ProjectFileManipulator(file, this.plugin)
+        await holder.load()
+
+        if (this.plugin.save.folderAreas) {
+            const relativePath = this.getRelativePath(file.path)
+            const folderArea = relativePath.split('/').slice(0, -1).join('/')
+            if (folderArea && !holder.project.areas.includes(folderArea)) {
+                holder.project.areas.push(folderArea)
+            }
+        }
+
+        return holder
+    }
+
+    async fixMissingIds() {
+        const fixIds = (items, setIdCb, reservedIds = []) => {
+            const occupiedIds = [...reservedIds]
+            const missingIds = []
+
+            items.forEach((item, index) => {
+                if (Array.isArray(item)) {
+                    item = item[0]
+                }
+
+                if (item.id === undefined) {
+                    throw new Error('Item missing an ID attribute.')
+                }
+
+                if (item.id === null) {
+                    missingIds.push(index)
+                } else {
+                    occupiedIds.push(item.id)
+                }
             })
 
             if (missingIds.length > 0) {
@@ -401,11 +1403,66 @@ class ProjectsLibrary {
             holder.setTodoId(bIdx, tIdx, id)
         }
 
-        fixIds(allTodos, setTodoId)
+        // ids of checked todos are still in the files, they must not be re-issued
+        const checkedIds = this.getCheckedTodos().map(todo => todo.id)
+        fixIds(allTodos, setTodoId, checkedIds)
 
+        let idIndexChanged = false
         for (const holder of this.projectFileManipulators) {
-            holder.flush()
+            if (holder.isDirty) {
+                try {
+                    await holder.flush()
+                } catch (err) {
+                    console.warn(`Busy Mango: could not write ids to ${holder.projectFile.path}:`, err.message)
+                }
+            }
+            if (holder.usesSidecar()) {
+                idIndexChanged = holder.storeSidecarIds() || idIndexChanged
+            }
+        }
+
+        if (idIndexChanged) {
+            await this.plugin.saveData(this.plugin.save)
+        }
+    }
+
+    // Finds ids shared by several projects, boards of one project or todos,
+    // and history entries pointing at projects or todos that no longer exist
+    validateIds() {
+        const groupDuplicates = (items) => {
+            const byId = new Map()
+            for (const item of items) {
+                if (item.id === null) continue
+                if (!byId.has(item.id)) byId.set(item.id, [])
+                byId.get(item.id).push(item)
+            }
+            return [...byId.values()].filter(group => group.length > 1)
+        }
+
+        const allTodos = this.projects.flatMap(p => p.boards).flatMap(b => b.todos)
+        const history = this.plugin.save
+
+        return {
+            duplicateProjects: groupDuplicates(this.projects),
+            duplicateBoards: this.projects.flatMap(p => groupDuplicates(p.boards)),
+            duplicateTodos: groupDuplicates(allTodos),
+            orphanHistoryProjects: [...new Set(history.events.map(event => event.project))]
+                .filter(id => id !== null && !this.getProjectById(id)),
+            orphanCandidate: history.currTodo !== null && !this.getTodoById(history.currTodo),
+        }
+    }
+
+    // Keeps the first item of every duplicate group and re-issues ids of the
+    // others. History references stay with the kept items.
+    async repairDuplicateIds(report) {
+        const groups = [...report.duplicateProjects, ...report.duplicateBoards, ...report.duplicateTodos]
+        for (const group of groups) {
+            for (const item of group.slice(1)) {
+                item.id = null
+            }
         }
+
+        await this.fixMissingIds()
     }
 
     getAllProjectNames() {
@@ -427,9 +1484,93 @@ class ProjectsLibrary {
     }
 
     getAvailableTodos() {
+        this.refreshRecurrences()
+        return this.projects
+            .filter(p => p.enabled && !p.isSnoozed())
+            .flatMap(p => p.getAvailableTodos(
+                todo => !this.isBlocked(todo) && !this.isSnoozed(todo) && todo.isRecurrenceDue(),
+                this.getFallbackOrder()
+            ))
+    }
+
+    // tells recurring todos when they were last completed
+    refreshRecurrences() {
+        const lastDone = this.plugin.history.getLastCompletionTimes()
+        for (const todo of this.projects.flatMap(p => p.boards).flatMap(b => b.todos)) {
+            if (todo.recurrence) {
+                todo.lastDone = lastDone.get(todo.id) ?? null
+            }
+        }
+    }
+
+    getFallbackOrder() {
+        return this.plugin.save.columnFallbackOrder
+            .map(boardTypeFromName)
+            .filter(type => type !== null && type !== BoardType.IGNORED && type !== BoardType.REPETITIVE)
+    }
+
+    // open todos the given one waits for, including the ones its parents wait for
+    getBlockers(todo) {
+        const blockers = []
+        for (const t of [...todo.getAncestors(), todo]) {
+            for (const id of t.blockedBy) {
+                const blocker = this.getTodoById(id)
+                if (blocker && blocker !== todo && !blockers.includes(blocker)) {
+                    blockers.push(blocker)
+                }
+            }
+        }
+        return blockers
+    }
+
+    isBlocked(todo) {
+        return this.getBlockers(todo).length > 0
+    }
+
+    // snoozed by itself until a later day, or with its whole project
+    isSnoozed(todo, now = new Date()) {
+        const until = parseDate(this.plugin.save.snoozed[todo.id])
+        return todo.project.isSnoozed(now) || (until !== null && daysBetween(now, until) > 0)
+    }
+
+    // todos snoozed by themselves, not with their project
+    getSnoozedTodos() {
+        return this.projects
+            .filter(p => p.enabled && !p.isSnoozed())
+            .flatMap(p => p.boards)
+            .flatMap(b => b.todos)
+            .filter(todo => this.isSnoozed(todo))
+    }
+
+    getSnoozedProjects() {
+        return this.projects.filter(p => p.enabled && p.isSnoozed())
+    }
+
+    getBlockedTodos() {
         return this.projects
-            .filter(p => p.enabled)
-            .flatMap(p => p.getAvailableTodos())
+            .flatMap(p => p.boards)
+            .flatMap(b => b.todos)
+            .filter(todo => this.isBlocked(todo))
+    }
+
+    getOpenTodoIds() {
+        return this.projects
+            .flatMap(p => p.boards)
+            .flatMap(b => b.todos)
+            .map(todo => todo.id)
+            .filter(id => id !== null)
+    }
+
+    // checked items with id markers across all files, with the id of their project
+    getCheckedTodos() {
+        return this.projectFileManipulators.flatMap(holder =>
+            holder.checkedTodos.map(todo => ({ ...todo, project: holder.project.id }))
+        )
+    }
+
+    getFileManipulator(project) {
+        const index = this.projects.indexOf(project)
+        return index === -1 ? null : this.projectFileManipulators[index]
     }
 
     getProjectById(id) {
@@ -460,38 +1601,52 @@ class ProjectFileManipulator {
         this.projectFile = projectFile
         this.plugin = plugin
         this.isDirty = false
+        this.isStale = false // the file got edits the snapshot lacks, see flush()
 
         // These will be initialized async via load()
         this.frontmatter = {}
+        this.frontmatterChanges = {} // owned keys to set on flush
+        this.frontmatterDefaults = {} // keys to set on flush only if the file still lacks them
+        this.baseLines = [] // the file as it was read, edits are diffed against it
         this.head = []
         this.projectLines = []
         this.tail = []
 
         this.boardLinesIndexes = []
         this.todosLinesIndexes = []
+        this.checkedTodos = [] // [{ id, desc, lineIndex }] of checked items with ids, archive included
 
         this.project = null
     }
 
     async load() {
-        await this.plugin.app.fileManager.processFrontMatter(this.projectFile, (frontmatter) => {
-            this.frontmatter = frontmatter ?? {}
-            this.frontmatter = {
-                ...this.frontmatter,
-                areas: this.frontmatter.areas ?? [],
-                interest: this.frontmatter.interest ?? 'low',
-                strategy: this.frontmatter.strategy ?? 'low',
-                urgency: this.frontmatter.urgency ?? 'low',
+        const fileContent = await this.plugin.app.vault.read(this.projectFile)
+
+        // parsed from the content itself: the metadata cache may lag behind a fresh change
+        const frontmatterMatch = fileContent.match(/^---\r?\n([\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/)
+        this.frontmatter = (frontmatterMatch?.[1]?.trim() ? obsidian.parseYaml(frontmatterMatch[1]) : null) ?? {}
+
+        const defaults = {
+            areas: [],
+            interest: 'low',
+            strategy: 'low',
+            urgency: 'low',
+        }
+        for (const key in defaults) {
+            if (this.frontmatter[key] === undefined) {
+                this.frontmatter[key] = defaults[key]
+                this.frontmatterDefaults[key] = defaults[key]
+                this.isDirty = true
             }
-        })
+        }
 
-        const fileContent = await this.plugin.app.vault.read(this.projectFile)
         let lines = fileContent.split(/\r?\n/)
+        this.baseLines = lines
 
         // Detect head (lines before first '##')
         let firstHeadingIndex = lines.findIndex(line => line.startsWith('##'))
         if (firstHeadingIndex === -1) {
-            throw new Error(`No headings in file ${this.projectFile}!`)
+            throw new Error(`No headings in file ${this.projectFile.path}!`)
         }
         this.head = lines.slice(0, firstHeadingIndex)
         lines = lines.slice(firstHeadingIndex)
@@ -520,6 +1675,20 @@ class ProjectFileManipulator {
         const projectName = this.projectFile.basename
         this.project = this.parseProject(projectName, projectType)
 
+        this.checkedTodos = []
+        const checkedLines = []
+        this.getLines().forEach((line, lineIndex) => {
+            if (/^\s*- \[[^ ]\]/.test(line)) {
+                const todo = this.parseTodo(line)
+                checkedLines.push({ id: todo.id, desc: todo.desc, lineIndex })
+            }
+        })
+
+        if (this.usesSidecar()) {
+            this.matchSidecarIds(checkedLines)
+        }
+        this.checkedTodos = checkedLines.filter(todo => todo.id !== null)
+
         // Setup parents
         for (const board of this.project.boards) {
             board.project = this.project
@@ -530,6 +1699,99 @@ class ProjectFileManipulator {
         }
     }
 
+    usesSidecar() {
+        return this.plugin.save.idStorage === 'sidecar'
+    }
+
+    // projectLines and tail as one array, line indexes of checked todos point into it
+    getLines() {
+        return [...this.projectLines, ...this.tail]
+    }
+
+    setLine(lineIndex, line) {
+        if (lineIndex < this.projectLines.length) {
+            this.projectLines[lineIndex] = line
+        } else {
+            this.tail[lineIndex - this.projectLines.length] = line
+        }
+    }
+
+    getTodoLines() {
+        const lines = []
+        this.project.boards.forEach((board, boardIndex) => {
+            board.todos.forEach((todo, todoIndex) => {
+                lines.push({ todo, lineIndex: this.todosLinesIndexes[boardIndex][todoIndex] })
+            })
+        })
+        return lines
+    }
+
+    // Gives lines without inline markers their ids from the sidecar index.
+    // Open and checked todos are matched together, so checking a todo off
+    // keeps its id.
+    matchSidecarIds(checkedLines) {
+        const path = this.projectFile.path
+        const index = this.plugin.idIndex
+
+        const boardIds = index.match(path, 'boards', this.boardLinesIndexes.map(i => this.projectLines[i]))
+        this.project.boards.forEach((board, i) => {
+            board.id = board.id ?? boardIds[i]
+        })
+
+        const items = [...this.getTodoLines(), ...checkedLines].sort((a, b) => a.lineIndex - b.lineIndex)
+        const lines = this.getLines()
+        const todoIds = index.match(path, 'todos', items.map(item => lines[item.lineIndex]))
+        items.forEach((item, i) => {
+            const holder = item.todo ?? item
+            holder.id = holder.id ?? todoIds[i]
+        })
+    }
+
+    // returns true if the index changed
+    storeSidecarIds() {
+        const path = this.projectFile.path
+        const index = this.plugin.idIndex
+        const lines = this.getLines()
+
+        const boardsChanged = index.store(
+            path,
+            'boards',
+            this.boardLinesIndexes.map(i => this.projectLines[i]),
+            this.project.boards.map(board => board.id)
+        )
+
+        const items = [
+            ...this.getTodoLines().map(({ todo, lineIndex }) => ({ id: todo.id, lineIndex })),
+            ...this.checkedTodos
+        ].sort((a, b) => a.lineIndex - b.lineIndex)
+        const todosChanged = index.store(path, 'todos', items.map(item => lines[item.lineIndex]), items.map(item => item.id))
+
+        return boardsChanged || todosChanged
+    }
+
+    removeInlineIds() {
+        this.projectLines = this.projectLines.map(stripHtmlId)
+        this.tail = this.tail.map(stripHtmlId)
+        this.isDirty = true
+    }
+
+    writeInlineIds() {
+        this.project.boards.forEach((board, i) => {
+            if (board.id !== null) {
+                this.setBoardId(i, board.id)
+            }
+        })
+        for (const { todo, lineIndex } of this.getTodoLines()) {
+            if (todo.id !== null) {
+                this.projectLines[lineIndex] = setHtmlId(this.projectLines[lineIndex], todo.id)
+            }
+        }
+        for (const { id, lineIndex } of this.checkedTodos) {
+            this.setLine(lineIndex, setHtmlId(this.getLines()[lineIndex], id))
+        }
+        this.isDirty = true
+    }
+
     parseProject(projectName, projectType) {
         const project = new Project()
         project.name = projectName
@@ -541,7 +1803,13 @@ class ProjectFileManipulator {
         project.urgency = Priority.fromString(this.frontmatter.urgency)
         project.strategy = Priority.fromString(this.frontmatter.strategy)
         project.interest = Priority.fromString(this.frontmatter.interest)
-        project.areas = this.frontmatter.areas
+        for (const { name } of this.plugin.save.customDimensions) {
+            project.dimensions[name] = Priority.fromString(this.frontmatter[name])
+        }
+        // areas may be written as numbers or nested lists, compare them as strings
+        project.areas = [this.frontmatter.areas].flat(Infinity).filter(area => area != null && area !== '').map(String)
+        project.defaultEffort = parseDuration(this.frontmatter.effort)
+        project.snoozeUntil = parseFrontmatterDate(this.frontmatter['snooze-until'])
 
         this.boardLinesIndexes = []
         this.todosLinesIndexes = []
@@ -574,36 +1842,16 @@ class ProjectFileManipulator {
 
     parseKanbanBoard(lines, boardIndex, linesOffset) {
         const board = new KanbanBoard()
-        let boardName = lines[0].replace(/^##/, '').trim().toLowerCase()
-        board.id = getHtmlId(boardName)
-        boardName = removeHtmlId(boardName)
+        const heading = lines[0].replace(/^##/, '')
+        board.id = getHtmlId(heading)
+        board.name = removeHtmlId(heading).trim()
 
-        switch (boardName) {
-            case 'in work':
-                board.type = BoardType.IN_WORK
-                break
-            case 'todo':
-                board.type = BoardType.TODO
-                break
-            case 'deep todo':
-                board.type = BoardType.DEEP_TODO
-                break
-            case 'repetitive':
-                board.type = BoardType.REPETITIVE
-                break
-            default:
-                board.type = BoardType.TODO
-        }
+        const { columnRules, unmatchedColumnRole } = this.plugin.save
+        const rule = columnRules.find(rule => rule.pattern && matchesColumnPattern(board.name, rule.pattern))
+        board.type = boardTypeFromName(rule ? rule.role : unmatchedColumnRole) ?? BoardType.TODO
 
         board.todos = []
-
-        lines.forEach((line, i) => {
-            if (line.startsWith('- [ ]')) {
-                const todo = this.parseTodo(line)
-                board.todos.push(todo)
-                this.todosLinesIndexes[boardIndex].push(i + linesOffset)
-            }
-        })
+        this.parseTodos(lines, board, boardIndex, linesOffset)
 
         return board
     }
@@ -619,26 +1867,83 @@ class ProjectFileManipulator {
 
         board.id = getHtmlId(board.name)
         board.todos = []
+        this.parseTodos(lines, board, boardIndex, linesOffset)
+
+        return board
+    }
 
-        lines = lines.map(line => line.trim())
+    // Collects open checklist items, nesting indented ones under the nearest
+    // less indented item. Children of checked items become top-level todos.
+    parseTodos(lines, board, boardIndex, linesOffset) {
+        const parents = [] // stack of [indent, todo or null for checked items]
 
         lines.forEach((line, i) => {
-            if (line.startsWith('- [ ]')) {
-                const todo = this.parseTodo(line)
-                board.todos.push(todo)
-                this.todosLinesIndexes[boardIndex].push(i + linesOffset)
+            const match = line.match(/^(\s*)- \[(.)\]/)
+            if (!match) return
+
+            const indent = getIndentWidth(match[1])
+            while (parents.length > 0 && parents[parents.length - 1][0] >= indent) {
+                parents.pop()
             }
-        })
 
-        return board
+            if (match[2] !== ' ') {
+                parents.push([indent, null])
+                return
+            }
+
+            const todo = this.parseTodo(line)
+            const parent = parents.length > 0 ? parents[parents.length - 1][1] : null
+            if (parent) {
+                todo.parent = parent
+                parent.children.push(todo)
+            }
+
+            board.todos.push(todo)
+            this.todosLinesIndexes[boardIndex].push(i + linesOffset)
+            parents.push([indent, todo])
+        })
     }
 
     parseTodo(line) {
         const todo = new Todo()
 
-        line = line.slice(5) // remove '- [ ]'
+        line = line.trimStart().slice(5) // remove '- [ ]'
         todo.id = getHtmlId(line)
         line = removeHtmlId(line)
+
+        const cut = (regex) => {
+            const [match, rest] = cutAnnotation(line, regex)
+            line = rest
+            return match
+        }
+
+        // '@due(2026-11-01)' or Obsidian Tasks' '📅 2026-11-01'
+        const dueMatch = cut(/@due\((\d{4}-\d{2}-\d{2})\)|📅\s*(\d{4}-\d{2}-\d{2})/u)
+        if (dueMatch) {
+            todo.dueDate = parseDate(dueMatch[1] ?? dueMatch[2])
+        }
+
+        // '~15m', '~2h', '~1h30m'
+        const effortMatch = cut(/(?<=^|\s)~(\d[\d.hm]*)(?=\s|$)/)
+        if (effortMatch) {
+            todo.effort = parseDuration(effortMatch[1])
+        }
+
+        // '@blocked-by(12, 15)' with ids of other todos
+        const blockedByMatch = cut(/@blocked-by\(([\d,\s]*)\)/)
+        if (blockedByMatch) {
+            todo.blockedBy = blockedByMatch[1]
+                .split(',')
+                .map(id => parseInt(id.trim(), 10))
+                .filter(id => !isNaN(id))
+        }
+
+        // '@repeat(every 3d)', '@repeat(weekly on Mon)' or Obsidian Tasks' '🔁 every week' at the end
+        const repeatMatch = cut(/@repeat\(([^)]*)\)|🔁\s*(.*)$/u)
+        if (repeatMatch) {
+            todo.recurrence = parseRecurrence(repeatMatch[1] ?? repeatMatch[2])
+        }
+
         line = line.trim()
         line = line.replace(/\[\[/g, '').replace(/\]\]/g, '')
 
@@ -647,11 +1952,20 @@ class ProjectFileManipulator {
     }
 
     setProjectId(projectId) {
-        this.frontmatter.id = projectId
+        this.setFrontmatterKey('id', projectId)
+    }
+
+    // `undefined` removes the key
+    setFrontmatterKey(key, value) {
+        this.frontmatter[key] = value
+        this.frontmatterChanges[key] = value
         this.isDirty = true
     }
 
     setBoardId(boardIndex, boardId) {
+        // the index is updated from the model once all ids are fixed
+        if (this.usesSidecar()) return
+
         const boardLineIndex = this.boardLinesIndexes[boardIndex]
         const boardLine = this.projectLines[boardLineIndex]
         this.projectLines[boardLineIndex] = setHtmlId(boardLine, boardId)
@@ -659,32 +1973,131 @@ class ProjectFileManipulator {
     }
 
     setTodoId(boardIndex, todoIndex, todoId) {
+        if (this.usesSidecar()) return
+
         const todoLineIndex = this.todosLinesIndexes[boardIndex][todoIndex]
         const todoLine = this.projectLines[todoLineIndex]
         this.projectLines[todoLineIndex] = setHtmlId(todoLine, todoId)
         this.isDirty = true
     }
 
+    // 0-based line of the todo in the file as it was read
+    getTodoFileLine(todo) {
+        return this.head.length + this.getTodoLineIndex(todo)
+    }
+
+    getTodoLineIndex(todo) {
+        const boardIndex = this.project.boards.indexOf(todo.board)
+        const todoIndex = todo.board.todos.indexOf(todo)
+        return this.todosLinesIndexes[boardIndex][todoIndex]
+    }
+
+    // index past the todo line and the more indented lines nested under it
+    getTodoBlockEnd(todoLineIndex) {
+        const indent = getIndentWidth(this.projectLines[todoLineIndex])
+        let end = todoLineIndex + 1
+        while (
+            end < this.projectLines.length &&
+            this.projectLines[end].trim() !== '' &&
+            getIndentWidth(this.projectLines[end]) > indent
+        ) {
+            end++
+        }
+        return end
+    }
+
+    checkTodo(todo) {
+        const lineIndex = this.getTodoLineIndex(todo)
+        this.projectLines[lineIndex] = this.projectLines[lineIndex].replace('- [ ]', '- [x]')
+        this.isDirty = true
+    }
+
+    // moves the checked todo with its nested lines to the top of another board
+    moveTodo(todo, board) {
+        const lineIndex = this.getTodoLineIndex(todo)
+        const blockEnd = this.getTodoBlockEnd(lineIndex)
+        const block = this.projectLines.splice(lineIndex, blockEnd - lineIndex)
+
+        const indent = getIndentWidth(block[0])
+        block[0] = block[0].trimStart().replace('- [ ]', '- [x]')
+        for (let i = 1; i < block.length; i++) {
+            block[i] = block[i].slice(Math.min(indent, block[i].length - block[i].trimStart().length))
+        }
+
+        let insertIndex = this.boardLinesIndexes[this.project.boards.indexOf(board)] + 1
+        if (insertIndex > lineIndex) {
+            insertIndex -= block.length
+        }
+
+        // keep Kanban's blank line and '**Complete**' marker under the heading
+        let i = insertIndex
+        while (i < this.projectLines.length && (this.projectLines[i].trim() === '' || this.projectLines[i].trim() === '**Complete**')) {
+            i++
+        }
+        if (i < this.projectLines.length && !this.projectLines[i].startsWith('##')) {
+            insertIndex = i
+        } else if (this.projectLines[insertIndex]?.trim() === '') {
+            insertIndex++
+        }
+
+        this.projectLines.splice(insertIndex, 0, ...block)
+        this.isDirty = true
+    }
+
+    // Writes the pending edits as line patches against the current content of
+    // the file, together with the changed frontmatter keys, in one
+    // vault.process() call. If the file was edited so that a patch can't be
+    // placed, nothing is written and the conflict is reported. Returns true
+    // if the edits were written.
     async flush() {
-        await this.plugin.app.vault.process(this.projectFile, (content) => {
-            return [
-                ...this.head,
-                ...this.projectLines,
-                ...this.tail
-            ].join('\n')
-        })
+        if (this.isStale) {
+            console.warn(`Busy Mango: ${this.projectFile.path} needs a reload before it is updated again`)
+            new obsidian.Notice(`Busy Mango: ${this.projectFile.path} was edited meanwhile, its update was skipped`)
+            return false
+        }
 
-        await this.plugin.app.fileManager.processFrontMatter(this.projectFile, (frontmatter) => {
-            // Clear existing frontmatter
-            for (const key in frontmatter) {
-                delete frontmatter[key];
+        const baseLines = this.baseLines
+        const newLines = [...this.head, ...this.projectLines, ...this.tail]
+        const hunks = diffLines(baseLines, newLines)
+        const frontmatterChanges = this.frontmatterChanges
+        const frontmatterDefaults = this.frontmatterDefaults
+
+        let conflict = false
+        let writtenLines = null
+        await this.plugin.app.vault.process(this.projectFile, (content) => {
+            const eol = content.includes('\r\n') ? '\r\n' : '\n'
+            let lines = applyLineHunks(content.split(/\r?\n/), hunks, baseLines)
+            if (lines === null) {
+                conflict = true
+                return content
             }
 
-            // Copy properties from this.frontmatter
-            Object.assign(frontmatter, this.frontmatter);
+            lines = updateFrontmatterLines(lines, frontmatterChanges, frontmatterDefaults)
+            writtenLines = lines
+            return lines.join(eol)
         })
 
+        if (conflict) {
+            console.warn(`Busy Mango: ${this.projectFile.path} changed while being updated`, hunks)
+            new obsidian.Notice(`Busy Mango: ${this.projectFile.path} was edited meanwhile, its update was skipped`)
+            return false
+        }
+
+        // the next flush is diffed against what was written. The frontmatter
+        // and edits above the first heading are taken over, other edits made
+        // meanwhile are missing from the snapshot and would be undone
+        this.baseLines = writtenLines
+        const body = [...this.projectLines, ...this.tail]
+        const headLength = writtenLines.length - body.length
+        if (headLength >= 0 && body.every((line, i) => writtenLines[headLength + i] === line)) {
+            this.head = writtenLines.slice(0, headLength)
+        } else {
+            this.isStale = true
+        }
+        this.frontmatterChanges = {}
+        this.frontmatterDefaults = {}
         this.isDirty = false
+        return true
     }
 
     async modifyFileBody(file, fn) {
@@ -698,118 +2111,699 @@ class ProjectFileManipulator {
     }
 }
 
-class History {
-    constructor(saveData, getProjectById, getTodoById, saveFunc) {
-        this.data = saveData // reference to an object { done: [...], historyCandidate: 42 }
-        this.saveFunc = saveFunc
-        this.getProjectById = getProjectById
-        this.getTodoById = getTodoById
-    }
+// Keeps board and todo ids out of the project files. For every file path it
+// stores the id-bearing lines as { id, hash, text }. On the next parse a line
+// gets its id back by the fingerprint of its text, or, when it was moved or
+// lightly edited, by the most similar text left unmatched.
+class SidecarIdIndex {
+    static SIMILARITY_THRESHOLD = 0.6
 
-    hasHistoryCandidate() {
-        return this.data.currTodo !== null
+    constructor(data) {
+        this.data = data // reference to an object { [path]: { boards: [...], todos: [...] } }
     }
 
-    getCandidateTodo() {
-        return this.getTodoById(this.data.currTodo)
+    // line text without list markup, checkbox, heading marks and id markers
+    static normalize(line) {
+        return stripHtmlId(line)
+            .replace(/^\s*(#+|- \[.\]|[-*+])\s*/, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase()
     }
 
-    acceptHistoryCandidate() {
-        let projectId = null
-        const todo = this.getTodoById(this.data.currTodo)
-        if (todo) {
-            projectId = todo.project.id
-        }
-        
-        if (!projectId) {
-            projectId = this.data.currProject
+    // ids for lines of one kind ('boards' or 'todos') of a file, null where nothing matches
+    match(path, kind, lines) {
+        const entries = this.data[path]?.[kind] ?? []
+        const texts = lines.map(SidecarIdIndex.normalize)
+        const ids = texts.map(() => null)
+        const used = new Set()
+
+        // exact fingerprints first, in file order
+        texts.forEach((text, i) => {
+            const hash = fingerprint(text)
+            const entryIndex = entries.findIndex((entry, j) => !used.has(j) && entry.hash === hash)
+            if (entryIndex !== -1) {
+                ids[i] = entries[entryIndex].id
+                used.add(entryIndex)
+            }
+        })
+
+        // then the most similar of the remaining pairs
+        const pairs = []
+        texts.forEach((text, i) => {
+            if (ids[i] !== null) return
+            entries.forEach((entry, j) => {
+                if (used.has(j)) return
+                const score = textSimilarity(text, entry.text)
+                if (score >= SidecarIdIndex.SIMILARITY_THRESHOLD) {
+                    pairs.push([score, i, j])
+                }
+            })
+        })
+
+        pairs.sort((a, b) => b[0] - a[0])
+        for (const [, i, j] of pairs) {
+            if (ids[i] !== null || used.has(j)) continue
+            ids[i] = entries[j].id
+            used.add(j)
         }
 
-        this.data.projectsHistory.push(projectId)
-        this.data.currProject = null
-        this.data.currTodo = null
-        this.data.currTodoName = ""
-        this.normalize()
+        return ids
     }
 
-    rejectHistoryCandidate() {
-        this.data.currProject = null
-        this.data.currTodo = null
-        this.data.currTodoName = ""
-    }
+    // replaces the entries of a file, returns true if anything changed
+    store(path, kind, lines, ids) {
+        const entries = []
+        lines.forEach((line, i) => {
+            if (ids[i] === null) return
+            const text = SidecarIdIndex.normalize(line)
+            entries.push({ id: ids[i], hash: fingerprint(text), text })
+        })
 
-    setHistoryCandidate(todo) {
-        this.data.currTodo = todo.id
-        this.data.currTodoName = todo.desc
-        this.data.currProject = todo.project.id
-    }
+        const fileEntries = this.data[path] ?? { boards: [], todos: [] }
+        if (JSON.stringify(fileEntries[kind]) === JSON.stringify(entries)) return false
 
-    save() {
-        this.saveFunc()
+        fileEntries[kind] = entries
+        this.data[path] = fileEntries
+        return true
     }
 
-    normalize() {
-        this.data.projectsHistory.reverse()
-        const newDone = []
-        for (const el of this.data.projectsHistory) {
-            if (!newDone.includes(el)) {
-                const project = this.getProjectById(el)
-                if (project) {
-                    newDone.push(el)
-                }
+    // moves entries of a file or of every file in a folder
+    rename(oldPath, newPath) {
+        for (const path of Object.keys(this.data)) {
+            if (path === oldPath || path.startsWith(oldPath + '/')) {
+                this.data[newPath + path.slice(oldPath.length)] = this.data[path]
+                delete this.data[path]
             }
         }
-        newDone.reverse()
-        this.data.projectsHistory = newDone
+    }
+
+    remove(path) {
+        delete this.data[path]
+    }
+
+    clear() {
+        for (const path of Object.keys(this.data)) {
+            delete this.data[path]
+        }
+    }
+}
+
+const EventType = {
+    SUGGESTED: 'suggested', // shown in the suggestion dialog
+    REJECTED: 'rejected', // turned down in the suggestion dialog
+    ACCEPTED: 'accepted', // taken as the current task
+    COMPLETED: 'completed',
+    DROPPED: 'dropped', // current task given up without finishing
+    FOCUSED: 'focused', // minutes of a focus session spent on the task
+    SNOOZED: 'snoozed' // hidden from suggestions until a later day
+}
+
+// suggested and rejected events kept at most, the oldest are dropped beyond it
+const MAX_SUGGESTION_EVENTS = 2000
+
+class History {
+    constructor(saveData, getProjectById, getTodoById, saveFunc) {
+        this.data = saveData // reference to an object { events: [...], currTodo: 42, ... }
+        this.saveFunc = saveFunc
+        this.getProjectById = getProjectById
+        this.getTodoById = getTodoById
+        this.index = null // built from the events on first use, see getIndex()
+    }
+
+    static isSuggestionEvent(event) {
+        return event.type === EventType.SUGGESTED || event.type === EventType.REJECTED
+    }
+
+    // Turns the project id list of older versions into events. Their times
+    // are unknown, so they come before everything timestamped, in the old order.
+    static migrate(data) {
+        if (data.events) return
+
+        data.events = [
+            ...(data.projectsHistory ?? []).map(project =>
+                ({ type: EventType.COMPLETED, time: null, todo: null, project, name: '' })),
+            ...(data.completedTodos ?? []).map(({ todo, project, name, time }) =>
+                ({ type: EventType.COMPLETED, time, todo, project, name }))
+        ]
+
+        delete data.projectsHistory
+        delete data.completedTodos
+    }
+
+    hasHistoryCandidate() {
+        return this.data.currTodo !== null
+    }
+
+    getCandidateTodo() {
+        return this.getTodoById(this.data.currTodo)
+    }
+
+    // when the current candidate was accepted, null if unknown
+    getCandidateAcceptedAt() {
+        return this.getIndex().accepted.get(this.data.currTodo) ?? null
+    }
+
+    // Latest times looked up often, kept up to date by log() so that the
+    // event log isn't scanned on every call: last completion per project
+    // (null if migrated without a time) and per todo, last acceptance per
+    // todo. Also counts the suggestion events.
+    getIndex() {
+        if (!this.index) {
+            this.index = { worked: new Map(), completed: new Map(), accepted: new Map(), suggestions: 0 }
+            for (const event of this.data.events) {
+                this.indexEvent(event)
+            }
+        }
+        return this.index
+    }
+
+    indexEvent(event) {
+        const index = this.index
+        if (event.type === EventType.COMPLETED) {
+            index.worked.set(event.project, event.time)
+            if (event.todo !== null && event.time !== null) {
+                index.completed.set(event.todo, event.time)
+            }
+        } else if (event.type === EventType.ACCEPTED) {
+            index.accepted.set(event.todo, event.time)
+        } else if (History.isSuggestionEvent(event)) {
+            index.suggestions++
+        }
+    }
+
+    log(type, todoId, projectId, todoName, details = {}) {
+        const event = { type, time: Date.now(), todo: todoId, project: projectId, name: todoName, ...details }
+        this.data.events.push(event)
+        if (this.index) {
+            this.indexEvent(event)
+        }
+        this.compactSuggestions()
+    }
+
+    // drops the oldest suggested and rejected events once there are a tenth
+    // more than MAX_SUGGESTION_EVENTS, so the log doesn't grow without bound
+    compactSuggestions() {
+        const index = this.getIndex()
+        if (index.suggestions <= MAX_SUGGESTION_EVENTS * 1.1) return
+
+        let excess = index.suggestions - MAX_SUGGESTION_EVENTS
+        this.data.events = this.data.events.filter(event => !(History.isSuggestionEvent(event) && excess-- > 0))
+        index.suggestions = MAX_SUGGESTION_EVENTS
+    }
+
+    logTodo(type, todo) {
+        this.log(type, todo.id, todo.project.id, todo.desc)
+    }
+
+    acceptHistoryCandidate() {
+        let projectId = null
+        const todo = this.getTodoById(this.data.currTodo)
+        if (todo) {
+            projectId = todo.project.id
+        }
+        
+        if (!projectId) {
+            projectId = this.data.currProject
+        }
+
+        this.recordCompletion(this.data.currTodo, projectId, this.data.currTodoName)
+        this.clearHistoryCandidate()
+    }
+
+    recordCompletion(todoId, projectId, todoName) {
+        this.log(EventType.COMPLETED, todoId, projectId, todoName)
+
+        // it's done, checking it off in the file must not count twice
+        if (this.data.openTodoIds) {
+            this.data.openTodoIds = this.data.openTodoIds.filter(id => id !== todoId)
+        }
+    }
+
+    // Todos that were open at the previous scan and are checked off in their
+    // files now were completed by hand. Records them as completed work and
+    // returns true if the data has to be saved.
+    syncCompletedTodos(openTodoIds, checkedTodos) {
+        const prevOpenIds = this.data.openTodoIds
+        this.data.openTodoIds = openTodoIds
+
+        // first scan, nothing to compare with
+        if (prevOpenIds === null) return true
+
+        let changed = prevOpenIds.length !== openTodoIds.length || prevOpenIds.some(id => !openTodoIds.includes(id))
+        const handledIds = new Set()
+
+        for (const checked of checkedTodos) {
+            // an id still open elsewhere was re-issued to another todo, not completed
+            if (!prevOpenIds.includes(checked.id) || openTodoIds.includes(checked.id) || handledIds.has(checked.id)) {
+                continue
+            }
+            handledIds.add(checked.id)
+
+            if (checked.id === this.data.currTodo) {
+                this.acceptHistoryCandidate()
+            } else {
+                this.recordCompletion(checked.id, checked.project, checked.desc)
+            }
+            changed = true
+        }
+
+        return changed
+    }
+
+    rejectHistoryCandidate() {
+        this.log(EventType.DROPPED, this.data.currTodo, this.data.currProject, this.data.currTodoName)
+        this.clearHistoryCandidate()
+    }
+
+    clearHistoryCandidate() {
+        this.data.currProject = null
+        this.data.currTodo = null
+        this.data.currTodoName = ""
+    }
+
+    // keeps the stored candidate description in sync with a re-parsed todo
+    refreshCandidate() {
+        const todo = this.getCandidateTodo()
+        if (!todo || (this.data.currTodoName === todo.desc && this.data.currProject === todo.project.id)) {
+            return false
+        }
+
+        this.data.currTodoName = todo.desc
+        this.data.currProject = todo.project.id
+        return true
+    }
+
+    // drops references to projects and todos that no longer exist
+    removeOrphans() {
+        this.data.events = this.data.events.filter(event => event.project === null || this.getProjectById(event.project))
+        this.index = null
+        if (this.data.currTodo !== null && !this.getTodoById(this.data.currTodo)) {
+            this.clearHistoryCandidate()
+        }
+    }
+
+    setHistoryCandidate(todo) {
+        this.logTodo(EventType.ACCEPTED, todo)
+        this.data.currTodo = todo.id
+        this.data.currTodoName = todo.desc
+        this.data.currProject = todo.project.id
+    }
+
+    save() {
+        this.saveFunc()
     }
 
     printSelf() {
         console.log('History')
-        for (const a of this.data.projectsHistory) {
-            console.log(a)
+        for (const event of this.data.events) {
+            console.log(event)
         }
     }
 
-    getHistoryProjects() {
-        this.normalize()
-        return this.data.projectsHistory.map(id => this.getProjectById(id))
+    // when each project with completed work was last worked on, null for
+    // entries migrated from versions that kept no times
+    getLastWorkedTimes() {
+        return new Map(this.getIndex().worked)
+    }
+
+    // when each todo was last completed, known times only
+    getLastCompletionTimes() {
+        return new Map(this.getIndex().completed)
+    }
+
+    // getLastWorkedTimes for scoring: projects last worked on at an unknown
+    // time get made-up times a day apart before the earliest known one, in
+    // their old order, so they stay ranked among themselves
+    getNeglectTimes(now) {
+        const times = this.getLastWorkedTimes()
+        const untimed = [...times.keys()].filter(project => times.get(project) === null)
+        if (untimed.length === 0) return times
+
+        const untimedSet = new Set(untimed)
+        const order = []
+        for (const event of this.data.events) {
+            if (event.type === EventType.COMPLETED && untimedSet.has(event.project)) {
+                const index = order.indexOf(event.project)
+                if (index !== -1) order.splice(index, 1)
+                order.push(event.project)
+            }
+        }
+
+        const known = [...times.values()].filter(time => time !== null)
+        const earliest = known.length > 0 ? Math.min(now, ...known) : now
+        order.forEach((project, i) => {
+            times.set(project, earliest - (order.length - i) * 86400000)
+        })
+        return times
     }
 }
 
-class Filter {
-    constructor({ urgent = false, urgenturgent = false, strategic = false, interesting = false, areaName = '', projectName = '' } = {}) {
-        this.urgent = urgent
-        this.urgenturgent = urgenturgent
-        this.strategic = strategic
-        this.interesting = interesting
-        this.areaName = areaName
-        this.projectName = projectName
+// figures for the statistics view, computed from the History event log
+class Statistics {
+    constructor(history, library) {
+        this.history = history
+        this.library = library
     }
 
-    isEmpty() {
-        return !(this.urgent || this.urgenturgent || this.strategic || this.interesting || this.areaName || this.projectName)
+    // events of `type` since `since` (ms), null for all time. Events migrated
+    // from versions that kept no times count for all time only
+    getEvents(type, since) {
+        return this.history.data.events.filter(event => event.type === type &&
+            (since === null || (event.time !== null && event.time >= since)))
     }
 
-    filterTodos(todos) {
-        if (this.isEmpty()) return todos
+    getProjectName(projectId) {
+        const project = this.library.getProjectById(projectId)
+        return project ? capitalize(project.name) : `Deleted project ${projectId}`
+    }
+
+    // [{ label, value }], the most completions first
+    getCompletionsByProject(since) {
+        const counts = new Map()
+        for (const event of this.getEvents(EventType.COMPLETED, since)) {
+            counts.set(event.project, (counts.get(event.project) ?? 0) + 1)
+        }
+        return [...counts]
+            .map(([id, value]) => ({ label: this.getProjectName(id), value }))
+            .sort((a, b) => b.value - a.value)
+    }
+
+    // [{ label, value }], the most completions first. A project in several
+    // areas counts for each of them
+    getCompletionsByArea(since) {
+        const counts = new Map()
+        for (const event of this.getEvents(EventType.COMPLETED, since)) {
+            const areas = this.library.getProjectById(event.project)?.areas ?? []
+            for (const area of areas.length > 0 ? areas : ['No area']) {
+                counts.set(area, (counts.get(area) ?? 0) + 1)
+            }
+        }
+        return [...counts]
+            .map(([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value)
+    }
+
+    // [{ label, value }] of focused minutes, the most first
+    getFocusByProject(since) {
+        const minutes = new Map()
+        for (const event of this.getEvents(EventType.FOCUSED, since)) {
+            minutes.set(event.project, (minutes.get(event.project) ?? 0) + event.minutes)
+        }
+        return [...minutes]
+            .map(([id, value]) => ({ label: this.getProjectName(id), value }))
+            .sort((a, b) => b.value - a.value)
+    }
+
+    // enabled projects, the longest not worked on first. `lastTime` is undefined
+    // for never worked on projects and null if unknown
+    getNeglectedProjects() {
+        const lastWorked = this.history.getLastWorkedTimes()
+        const order = (time) => time === undefined ? -2 : time === null ? -1 : time
+
+        return this.library.projects
+            .filter(project => project.enabled)
+            .map(project => ({ project, lastTime: lastWorked.get(project.id) }))
+            .sort((a, b) => order(a.lastTime) - order(b.lastTime))
+    }
 
-        if (this.projectName !== '') {
-            return todos.filter(todo => todo.project.name === this.projectName)
-        } else if (this.areaName !== '') {
-            return todos.filter(todo => todo.project.areas.includes(this.areaName))
+    // how many events of each type happened since `since`
+    getEventCounts(since) {
+        const counts = {}
+        for (const type of Object.values(EventType)) {
+            counts[type] = this.getEvents(type, since).length
+        }
+        return counts
+    }
+
+    getStreaks(now) {
+        const times = this.getEvents(EventType.COMPLETED, null)
+            .map(event => event.time)
+            .filter(time => time !== null)
+        return computeStreaks(times, now)
+    }
+}
+
+// Pomodoro cycles for the current task: `focusCycles` focus periods with breaks
+// in between, after which the session ends. The state is kept in plugin data as
+// { todo, project, name, phase, cycle, remaining, runningSince, paused }, with
+// `remaining` ms of the phase as of `runningSince`. Time while Obsidian is
+// closed does not count, a running session goes on after the restart.
+class FocusTimer {
+    constructor(plugin) {
+        this.plugin = plugin
+        if (this.state && !this.state.paused) {
+            this.state.runningSince = Date.now()
+        }
+    }
+
+    get state() {
+        return this.plugin.save.focus
+    }
+
+    set state(value) {
+        this.plugin.save.focus = value
+    }
+
+    isActive() {
+        return this.state !== null
+    }
+
+    isPaused() {
+        return this.state?.paused ?? false
+    }
+
+    start(todo, now = Date.now()) {
+        this.stop(now)
+        this.state = {
+            todo: todo.id,
+            project: todo.project.id,
+            name: todo.desc,
+            phase: 'focus',
+            cycle: 1,
+            remaining: this.plugin.save.focusMinutes * 60000,
+            runningSince: now,
+            paused: false
+        }
+        this.save()
+    }
+
+    getRemaining(now = Date.now()) {
+        const { remaining, runningSince, paused } = this.state
+        return paused ? remaining : remaining - (now - runningSince)
+    }
+
+    // folds the time run so far into `remaining`, so that little is lost on a crash
+    sync(now = Date.now()) {
+        if (!this.state || this.state.paused) return
+
+        this.state.remaining = this.getRemaining(now)
+        this.state.runningSince = now
+    }
+
+    pause(now = Date.now()) {
+        if (!this.state || this.state.paused) return
+
+        this.sync(now)
+        this.state.paused = true
+        this.state.runningSince = null
+        this.save()
+    }
+
+    resume(now = Date.now()) {
+        if (!this.state?.paused) return
+
+        this.state.paused = false
+        this.state.runningSince = now
+        this.save()
+    }
+
+    // ends the session early, the focus time spent so far still counts
+    stop(now = Date.now()) {
+        if (!this.state) return
+
+        if (this.state.phase === 'focus') {
+            this.logFocus(this.plugin.save.focusMinutes * 60000 - this.getRemaining(now))
+        }
+        this.state = null
+        this.save()
+    }
+
+    logFocus(ms) {
+        const minutes = Math.round(ms / 60000)
+        if (minutes <= 0) return
+
+        const { todo, project, name } = this.state
+        this.plugin.history.log(EventType.FOCUSED, todo, project, name, { minutes })
+    }
+
+    // moves on to the next phase when the current one is over
+    tick(now = Date.now()) {
+        const state = this.state
+        if (!state) return
+
+        // the task was completed or dropped meanwhile
+        if (state.todo !== this.plugin.save.currTodo) {
+            this.stop(now)
+            return
+        }
+
+        if (state.paused) return
+
+        if (this.getRemaining(now) > 0) {
+            if (now - state.runningSince >= 60000) {
+                this.sync(now)
+                this.plugin.saveData(this.plugin.save)
+            }
+            return
+        }
+
+        const { focusMinutes, breakMinutes, focusCycles } = this.plugin.save
+        if (state.phase === 'focus') {
+            this.logFocus(focusMinutes * 60000)
+
+            if (state.cycle >= focusCycles) {
+                this.state = null
+                this.save()
+                this.plugin.onFocusSessionEnd()
+                return
+            }
+
+            Object.assign(state, { phase: 'break', remaining: breakMinutes * 60000, runningSince: now })
+            new obsidian.Notice(`Busy Mango: focus ${state.cycle} of ${focusCycles} is over, take a ${breakMinutes} minute break`)
         } else {
-            return todos.filter(todo =>
-                (this.urgenturgent && todo.getUrgency() === Priority.URGENT) ||
-                (this.urgent && Priority.isConsiderable(todo.getUrgency())) ||
-                (this.strategic && Priority.isConsiderable(todo.getStrategy())) ||
-                (this.interesting && Priority.isConsiderable(todo.getInterest()))
-            )
+            Object.assign(state, { phase: 'focus', cycle: state.cycle + 1, remaining: focusMinutes * 60000, runningSince: now })
+            new obsidian.Notice(`Busy Mango: break is over, back to ${state.name}`)
+        }
+        this.save()
+    }
+
+    // 'focus 2/4 12:34' or 'break 4:59', with 'paused' when paused
+    describe(now = Date.now()) {
+        const { phase, cycle, paused } = this.state
+        const label = phase === 'focus' ? `focus ${cycle}/${this.plugin.save.focusCycles}` : 'break'
+        return `${label} ${formatClock(this.getRemaining(now))}${paused ? ' paused' : ''}`
+    }
+
+    save() {
+        this.plugin.history.save()
+    }
+}
+
+// Criteria form a tree of plain objects, so that presets can be saved as is:
+// { and: [...] }, { or: [...] }, { not: criteria }, or a criterion
+// { field, op, value } with the fields
+//   'area', 'project'                  op '=', a name ignoring case
+//   'urgency', 'strategy', 'interest'  op '=', '>=', '<=', '>' or '<', a priority name
+//   'effort'                           the same ops, minutes. Unestimated todos never match
+//   'due'                              op '=', 'soon' or 'overdue'
+//   'text'                             op '=', a part of the task text ignoring case
+// null criteria match every todo.
+class Filter {
+    constructor({ criteria = null, timeBudget = 0, includeUnestimated = true } = {}) {
+        this.criteria = criteria
+        this.timeBudget = timeBudget // minutes, 0 means no limit
+        this.includeUnestimated = includeUnestimated
+    }
+
+    static and(...criteria) {
+        criteria = criteria.filter(c => c)
+        return criteria.length === 0 ? null : criteria.length === 1 ? criteria[0] : { and: criteria }
+    }
+
+    static or(...criteria) {
+        criteria = criteria.filter(c => c)
+        return criteria.length === 0 ? null : criteria.length === 1 ? criteria[0] : { or: criteria }
+    }
+
+    static not(criteria) {
+        return criteria ? { not: criteria } : null
+    }
+
+    static compare(a, op, b) {
+        switch (op) {
+            case '=': return a === b
+            case '>=': return a >= b
+            case '<=': return a <= b
+            case '>': return a > b
+            case '<': return a < b
+            default: return false
         }
     }
+
+    static matchesCriterion(todo, { field, op, value }) {
+        const sameName = (name) => String(name).toLowerCase() === String(value).toLowerCase()
+
+        switch (field) {
+            case 'area': return todo.project.areas.some(sameName)
+            case 'project': return sameName(todo.project.name)
+            // more urgent priorities have lower numbers
+            case 'urgency': return Filter.compare(-todo.getUrgency(), op, -Priority.fromString(value))
+            case 'strategy': return Filter.compare(-todo.getStrategy(), op, -Priority.fromString(value))
+            case 'interest': return Filter.compare(-todo.getInterest(), op, -Priority.fromString(value))
+            case 'effort': {
+                const effort = todo.getEffort()
+                return effort !== null && Filter.compare(effort, op, value)
+            }
+            case 'due': return value === 'overdue' ? todo.isOverdue() : todo.isDueSoon()
+            case 'text': return todo.getContextDesc().toLowerCase().includes(String(value).toLowerCase())
+            default: return false
+        }
+    }
+
+    static matches(todo, criteria) {
+        if (!criteria) return true
+        if (criteria.and) return criteria.and.every(c => Filter.matches(todo, c))
+        if (criteria.or) return criteria.or.some(c => Filter.matches(todo, c))
+        if (criteria.not) return !Filter.matches(todo, criteria.not)
+        return Filter.matchesCriterion(todo, criteria)
+    }
+
+    fitsBudget(todo) {
+        if (this.timeBudget <= 0) return true
+
+        const effort = todo.getEffort()
+        if (effort === null) return this.includeUnestimated
+        return effort <= this.timeBudget
+    }
+
+    isEmpty() {
+        return this.criteria === null
+    }
+
+    filterTodos(todos) {
+        return todos.filter(todo => this.fitsBudget(todo) && Filter.matches(todo, this.criteria))
+    }
 }
 
 // Obsidian Plugin
 
+// filters with a button in the view and a command each
+const BUILT_IN_FILTERS = [
+    { id: 'any', name: 'Any', criteria: null },
+    { id: 'urgent-urgent', name: 'Urgent Urgent', criteria: { field: 'urgency', op: '=', value: 'urgent' } },
+    { id: 'urgent', name: 'Urgent', criteria: { field: 'urgency', op: '>=', value: 'normal' } },
+    { id: 'strategic', name: 'Strategic', criteria: { field: 'strategy', op: '>=', value: 'normal' } },
+    { id: 'interesting', name: 'Interesting', criteria: { field: 'interest', op: '>=', value: 'normal' } },
+    { id: 'due-soon', name: 'Overdue / Due Soon', criteria: { field: 'due', op: '=', value: 'soon' } },
+]
+
+// criteria of the filter builder: any of the chosen areas and any of the chosen
+// projects (or none of them when excluded), with all or any of the chosen flags,
+// which are names of BUILT_IN_FILTERS
+function buildCriteria({ areas, excludeAreas, projects, excludeProjects, flags, anyFlag }) {
+    const oneOf = (field, names) => Filter.or(...names.map(value => ({ field, op: '=', value })))
+    const flagCriteria = BUILT_IN_FILTERS.filter(f => flags.includes(f.name)).map(f => f.criteria)
+
+    const areaCriteria = oneOf('area', areas)
+    const projectCriteria = oneOf('project', projects)
+    return Filter.and(
+        excludeAreas ? Filter.not(areaCriteria) : areaCriteria,
+        excludeProjects ? Filter.not(projectCriteria) : projectCriteria,
+        anyFlag ? Filter.or(...flagCriteria) : Filter.and(...flagCriteria)
+    )
+}
+
 // shuffle array
 function shuffle(array) {
     for (let i = array.length - 1; i > 0; i--) {
@@ -818,43 +2812,118 @@ function shuffle(array) {
     }
 }
 
-// How much each dimension affects score
-const dimensionWeights = {
+// How much each dimension affects score, the defaults of the settings
+const DEFAULT_DIMENSION_WEIGHTS = {
+    neglect: 1000,
     urgency: 100,
     strategy: 10,
     interest: 1
 };
 
+// scored by the plugin itself, so custom dimensions can't take these names
+const BUILT_IN_DIMENSIONS = ['urgency', 'strategy', 'interest']
+
+// weight of each priority level within a dimension
+const DEFAULT_PRIORITY_WEIGHTS = {
+    urgent: 8,
+    high: 4,
+    normal: 2,
+    low: 1,
+    none: 0
+};
+
 // priority-weighted shuffle
-// more prioritized — nearer to the beginning of array
-function weightedShuffle(todos) {
+// more prioritized — nearer to the beginning of array.
+// Neglect of the project (0..1) is added as is, the priorities are randomized.
+// `customDimensions` are [{ name, weight }] scored like urgency, strategy and interest.
+// Returns [{ todo, score }] where score is { total, neglect: { value, weight, score },
+// dimensions: [{ name, priority, priorityWeight, weight, random, score }] }
+function weightedShuffle(todos, {
+    getNeglect = () => 0,
+    dimensionWeights = DEFAULT_DIMENSION_WEIGHTS,
+    priorityWeights = DEFAULT_PRIORITY_WEIGHTS,
+    customDimensions = [],
+    random = Math.random
+} = {}) {
+    const dimensions = [
+        ...BUILT_IN_DIMENSIONS.map(name => ({ name, weight: dimensionWeights[name] })),
+        ...customDimensions.filter(({ name }) => !BUILT_IN_DIMENSIONS.includes(name))
+    ]
+
     const scored = todos.map(todo => {
-        const urgencyScore = -Math.log(Math.random()) * Priority.getWeight(todo.getUrgency()) * dimensionWeights.urgency;
-        const strategyScore = -Math.log(Math.random()) * Priority.getWeight(todo.getStrategy()) * dimensionWeights.strategy;
-        const interestScore = -Math.log(Math.random()) * Priority.getWeight(todo.getInterest()) * dimensionWeights.interest;
+        const neglectValue = getNeglect(todo.project)
+        const neglect = { value: neglectValue, weight: dimensionWeights.neglect, score: neglectValue * dimensionWeights.neglect }
+        let total = neglect.score
+
+        const dimensionScores = dimensions.map(({ name, weight }) => {
+            const priority = todo.getDimension(name)
+            const priorityWeight = Priority.getWeight(priority, priorityWeights)
+            const randomFactor = -Math.log(1 - random()) // exponential, 1 on average
+            const score = randomFactor * priorityWeight * weight
+            total += score
+            return { name, priority, priorityWeight, weight, random: randomFactor, score }
+        })
 
-        return [todo, urgencyScore + strategyScore + interestScore]
+        return { todo, score: { total, neglect, dimensions: dimensionScores } }
     })
 
-    return scored
-        .sort((a, b) => b[1] - a[1])
-        .map(([todo]) => todo)
+    return scored.sort((a, b) => b.score.total - a.score.total)
 }
 
-// priority-weighted sort
-// more prioritized — nearer to the beginning of array
-function biasedSort(todos) {
-    const scored = todos.map((todo, index) => {
-        const urgencyBump = -Math.log(Math.random()) * Priority.getWeight(todo.getUrgency()) * dimensionWeights.urgency;
-        const strategyBump = -Math.log(Math.random()) * Priority.getWeight(todo.getStrategy()) * dimensionWeights.strategy;
-        const interestBump = -Math.log(Math.random()) * Priority.getWeight(todo.getInterest()) * dimensionWeights.interest;
+// what made a todo more urgent than its project
+function describeUrgencyOverrides(todo) {
+    const overrides = []
+    if (todo.isUrgent()) {
+        overrides.push('Marked urgent with ! on the task')
+    } else if (todo.getAncestors().some(t => t.isUrgent())) {
+        overrides.push('Marked urgent with ! on a parent task')
+    }
 
-        return [todo, index - (urgencyBump + strategyBump + interestBump)]
-    })
+    const dueUrgency = todo.getDueUrgency()
+    if (dueUrgency < todo.project.urgency) {
+        overrides.push(`Due ${formatDate(todo.getDueDate())}, which raises urgency to ${PRIORITY_NAMES[dueUrgency]}`)
+    }
+
+    const recurrenceUrgency = todo.getRecurrenceUrgency()
+    if (recurrenceUrgency < todo.project.urgency) {
+        overrides.push(`Repeat due since ${formatDate(todo.getNextOccurrence())}, which raises urgency to ${PRIORITY_NAMES[recurrenceUrgency]}`)
+    }
+    return overrides
+}
+
+// picks the plan for a day from todos ranked best first: `size` of them, or
+// as many as fit `timeBudget` minutes if it is set. Todos without an estimate
+// then only go in with `includeUnestimated`, and no more than `size` of them.
+// At most `perProject` todos come from one project
+function pickPlan(rankedTodos, { size, timeBudget = 0, perProject, includeUnestimated = false }) {
+    const picked = []
+    const projectCounts = new Map()
+    let minutesLeft = timeBudget
+    let unestimated = 0
+
+    for (const todo of rankedTodos) {
+        if (timeBudget <= 0 && picked.length >= size) break
+        if ((projectCounts.get(todo.project) ?? 0) >= perProject) continue
+
+        if (timeBudget > 0) {
+            const effort = todo.getEffort()
+            if (effort === null) {
+                if (!includeUnestimated || unestimated >= size) continue
+                unestimated++
+            } else {
+                if (effort > minutesLeft) continue
+                minutesLeft -= effort
+            }
+        }
 
-    return scored
-        .sort((a, b) => a[1] - b[1])
-        .map(([todo]) => todo)
+        picked.push(todo)
+        projectCounts.set(todo.project, (projectCounts.get(todo.project) ?? 0) + 1)
+    }
+    return picked
+}
+
+function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(line => line)
 }
 
 function capitalize(word) {
@@ -868,6 +2937,11 @@ class BusyMangoPlugin extends obsidian.Plugin {
     loaded // Promise<void>
     viewRegistered = false
     loadedCallback // () => void
+    pendingReloads = new Set() // vault paths changed since the last reload
+    reloading = Promise.resolve() // chain of library changes, see runExclusive()
+    // bursts of edits while typing end up in a single re-parse
+    reloadPendingDebounced = obsidian.debounce(() => this.reloadPending(), 500, true)
+    reloadLibraryDebounced = obsidian.debounce(() => this.reloadLibrary(), 1000, true)
 
     async onload() {
         this.loaded = new Promise(resolve => {
@@ -877,55 +2951,392 @@ class BusyMangoPlugin extends obsidian.Plugin {
         this.viewRegistered = false
 
         this.addRibbonIcon('bean', 'Busy Mango', (evt) => {
-            if (!this.viewRegistered) {
-                this.registerView(
-                    VIEW_TYPE_BUSY_MANGO,
-                    (leaf) => new BusyMangoView(leaf, this)
-                )
-                this.viewRegistered = true
-            }
+            this.registerViews()
             this.activateView()
         })
 
+        this.addRibbonIcon('bar-chart-2', 'Busy Mango Statistics', (evt) => {
+            this.registerViews()
+            this.activateStatsView()
+        })
+
         this.save = await this.loadData() ?? {}
         this.save = {
             ...this.save,
             busyMangoDir: this.save.busyMangoDir ?? "/",
-            projectsHistory: this.save.projectsHistory ?? [],
             currProject: this.save.currProject ?? null,
             currTodo: this.save.currTodo ?? null,
-            currTodoName: this.save.currTodoName ?? ""
+            currTodoName: this.save.currTodoName ?? "",
+            unestimatedTasks: this.save.unestimatedTasks ?? "include",
+            neglectHalfLife: this.save.neglectHalfLife ?? 7,
+            dimensionWeights: { ...DEFAULT_DIMENSION_WEIGHTS, ...this.save.dimensionWeights },
+            priorityWeights: { ...DEFAULT_PRIORITY_WEIGHTS, ...this.save.priorityWeights },
+            customDimensions: this.save.customDimensions ?? [], // [{ name, weight }], name is the frontmatter key
+            randomSeed: this.save.randomSeed ?? null, // integer, or null for Math.random
+            folderAreas: this.save.folderAreas ?? false,
+            includePatterns: this.save.includePatterns ?? [],
+            excludePatterns: this.save.excludePatterns ?? [],
+            columnRules: this.save.columnRules ?? DEFAULT_COLUMN_RULES.map(rule => ({ ...rule })),
+            unmatchedColumnRole: this.save.unmatchedColumnRole ?? 'ignored',
+            columnFallbackOrder: this.save.columnFallbackOrder ?? ['in-work', 'todo'],
+            completionAction: this.save.completionAction ?? 'none',
+            doneColumn: this.save.doneColumn ?? 'Done',
+            openTodoIds: this.save.openTodoIds ?? null,
+            idStorage: this.save.idStorage ?? 'inline',
+            idIndex: this.save.idIndex ?? {},
+            focusTimer: this.save.focusTimer ?? false,
+            focusMinutes: this.save.focusMinutes ?? 25,
+            breakMinutes: this.save.breakMinutes ?? 5,
+            focusCycles: this.save.focusCycles ?? 4,
+            focus: this.save.focus ?? null,
+            planSize: this.save.planSize ?? 5,
+            planPerProject: this.save.planPerProject ?? 2,
+            planDailyNote: this.save.planDailyNote ?? false,
+            plan: this.save.plan ?? null,
+            snoozed: this.save.snoozed ?? {}, // todo id -> 'YYYY-MM-DD' it is hidden until
+            filterPresets: this.save.filterPresets ?? [] // [{ name, criteria } or { name, query }], see Filter and parseQuery
         }
 
+        History.migrate(this.save)
+        this.idIndex = new SidecarIdIndex(this.save.idIndex)
+
         this.deactivateView()
 
         this.app.workspace.onLayoutReady(async () => {
             this.deactivateView()
             this.projectsLibrary = new ProjectsLibrary(this)
-            await this.projectsLibrary.load()
+            await this.runExclusive(() => this.projectsLibrary.load())
 
             this.history = new History(
                 this.save,
                 (id) => this.projectsLibrary.getProjectById(id),
                 (id) => this.projectsLibrary.getTodoById(id),
-                () => this.saveData(this.save)
+                () => {
+                    this.saveData(this.save)
+                    this.renderStatsViews()
+                    this.renderPlanViews()
+                    this.updateStatusBar()
+                }
             )
+
+            this.focusTimer = new FocusTimer(this)
+            this.removeExpiredSnoozes()
+
+            this.onLibraryChanged()
+            this.registerVaultEvents()
+            this.updateStatusBar()
+            this.registerInterval(setInterval(() => {
+                this.focusTimer.tick()
+                this.updateStatusBar()
+            }, 1000))
             this.loadedCallback()
         })
 
+        this.statusBarEl = this.addStatusBarItem()
+        this.statusBarEl.addClass('busy-mango-status')
+        this.statusBarEl.toggle(false)
+        this.statusBarEl.addEventListener('click', (evt) => this.showCurrentTaskMenu(evt))
+
         this.addSettingTab(new BusyMangoSettingTab(this.app, this))
-    }
 
-    async confirmPreviousTaskCompletion() {
-        if (!this.history.hasHistoryCandidate()) return
+        this.addCommand({
+            id: 'open-view',
+            name: 'Open',
+            callback: () => {
+                this.registerViews()
+                this.activateView()
+            }
+        })
 
-        let todoDesc = ''
-        let todoProjectName = ''
+        this.addCommand({
+            id: 'open-stats-view',
+            name: 'Open statistics',
+            callback: () => {
+                this.registerViews()
+                this.activateStatsView()
+            }
+        })
 
-        const candidateTodo = this.history.getCandidateTodo()
+        for (const { id, name, criteria } of BUILT_IN_FILTERS) {
+            this.addCommand({
+                id: `suggest-${id}`,
+                name: id === 'any' ? 'Suggest next task' : `Suggest next task: ${name}`,
+                callback: () => this.suggestFromCommand(criteria)
+            })
+        }
+
+        this.addCommand({
+            id: 'suggest-query',
+            name: 'Suggest next task for a query',
+            callback: () => new QueryModal(this.app, (criteria) => this.suggestFromCommand(criteria)).open()
+        })
+
+        this.addCommand({
+            id: 'plan-day',
+            name: 'Plan my day',
+            callback: async () => {
+                await this.generatePlan()
+                this.registerViews()
+                this.activateView()
+            }
+        })
+
+        this.addCommand({
+            id: 'start-next-planned',
+            name: 'Start next planned task',
+            checkCallback: (checking) => {
+                if (!this.save.plan || this.history?.hasHistoryCandidate()) return false
+                if (!checking) this.startNextPlanned()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'complete-current-task',
+            name: 'Mark current task done',
+            checkCallback: (checking) => {
+                if (!this.history?.hasHistoryCandidate()) return false
+                if (!checking) this.completeCurrentTask()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'drop-current-task',
+            name: 'Drop current task',
+            checkCallback: (checking) => {
+                if (!this.history?.hasHistoryCandidate()) return false
+                if (!checking) this.dropCurrentTask()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'open-current-task',
+            name: 'Open current task file',
+            checkCallback: (checking) => {
+                if (!this.history?.hasHistoryCandidate() || !this.history.getCandidateTodo()) return false
+                if (!checking) this.openCurrentTask()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'start-focus-session',
+            name: 'Start focus session on current task',
+            checkCallback: (checking) => {
+                if (!this.history?.getCandidateTodo() || this.focusTimer.isActive()) return false
+                if (!checking) this.startFocusSession()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'pause-focus-session',
+            name: 'Pause or resume focus session',
+            checkCallback: (checking) => {
+                if (!this.focusTimer?.isActive()) return false
+                if (!checking) this.toggleFocusPause()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'stop-focus-session',
+            name: 'Stop focus session',
+            checkCallback: (checking) => {
+                if (!this.focusTimer?.isActive()) return false
+                if (!checking) this.stopFocusSession()
+                return true
+            }
+        })
+
+        this.addCommand({
+            id: 'check-ids',
+            name: 'Check ids for duplicates and orphans',
+            callback: () => this.checkIds()
+        })
+
+        this.addCommand({
+            id: 'migrate-ids-to-sidecar',
+            name: 'Move ids from the files to the sidecar index',
+            callback: () => this.migrateIdsToSidecar()
+        })
+
+        this.addCommand({
+            id: 'migrate-ids-to-inline',
+            name: 'Move ids from the sidecar index into the files',
+            callback: () => this.migrateIdsToInline()
+        })
+    }
+
+    registerVaultEvents() {
+        const { vault } = this.app
+
+        this.registerEvent(vault.on('create', (file) => this.scheduleReload(file.path)))
+        this.registerEvent(vault.on('modify', (file) => this.scheduleReload(file.path)))
+        this.registerEvent(vault.on('delete', (file) => this.scheduleReload(file.path)))
+        this.registerEvent(vault.on('rename', (file, oldPath) => {
+            this.idIndex.rename(oldPath, file.path)
+            this.scheduleReload(oldPath)
+            this.scheduleReload(file.path)
+        }))
+    }
+
+    scheduleReload(path) {
+        this.pendingReloads.add(path)
+        this.reloadPendingDebounced()
+    }
+
+    // library changes run one after another, each sees the library left by the previous one
+    runExclusive(fn) {
+        const run = this.reloading.then(fn)
+        this.reloading = run.catch(err => console.error('Busy Mango:', err))
+        return run
+    }
+
+    async reloadPending() {
+        await this.runExclusive(async () => {
+            const paths = [...this.pendingReloads]
+            this.pendingReloads.clear()
+            if (paths.length === 0) return
+
+            for (const path of paths) {
+                await this.projectsLibrary.reloadPath(path)
+            }
+            this.onLibraryChanged()
+        })
+    }
+
+    // full rescan, e.g. after the folder settings change
+    async reloadLibrary() {
+        await this.loaded
+        await this.runExclusive(async () => {
+            const projectsLibrary = new ProjectsLibrary(this)
+            await projectsLibrary.load()
+            this.projectsLibrary = projectsLibrary
+            this.onLibraryChanged()
+        })
+    }
+
+    // checks the todo off in its file or moves it to the done column, as configured
+    async writeTodoCompletion(todo) {
+        const { completionAction, doneColumn } = this.save
+        if (completionAction === 'none') return
+
+        await this.runExclusive(async () => {
+            // the file may have been reloaded since `todo` was looked up
+            const todoId = todo.id
+            todo = this.projectsLibrary.getTodoById(todoId)
+            const holder = todo && this.projectsLibrary.getFileManipulator(todo.project)
+            if (!holder) {
+                new obsidian.Notice(`Busy Mango: task ${todoId} is no longer in its board, check it off by hand`)
+                return
+            }
+            if (todo.board.type === BoardType.REPETITIVE) return
+
+            const doneBoard = completionAction === 'move' && !todo.parent
+                ? todo.project.boards.find(board => board instanceof KanbanBoard && matchesColumnPattern(board.name, doneColumn))
+                : null
+
+            if (doneBoard && doneBoard !== todo.board) {
+                holder.moveTodo(todo, doneBoard)
+            } else {
+                holder.checkTodo(todo)
+            }
+
+            await holder.flush()
+            await this.projectsLibrary.reloadPath(holder.projectFile.path)
+            this.onLibraryChanged()
+        })
+    }
+
+    onLibraryChanged() {
+        const completedChanged = this.history.syncCompletedTodos(
+            this.projectsLibrary.getOpenTodoIds(),
+            this.projectsLibrary.getCheckedTodos()
+        )
+        const candidateChanged = this.history.refreshCandidate()
+
+        if (completedChanged || candidateChanged) {
+            this.history.save()
+        }
+
+        this.renderLibraryViews()
+        this.renderStatsViews()
+    }
+
+    async checkIds() {
+        await this.loaded
+        new IdIntegrityModal(this.app, this).open()
+    }
+
+    // validates again right before repairing: the library may have been
+    // reloaded since the report was shown
+    async repairIds() {
+        await this.runExclusive(async () => {
+            const report = this.projectsLibrary.validateIds()
+            await this.projectsLibrary.repairDuplicateIds(report)
+            this.history.removeOrphans()
+            this.onLibraryChanged()
+            this.history.save()
+        })
+    }
+
+    // moves todo and board ids from '<!-- id: N -->' markers into the sidecar index
+    async migrateIdsToSidecar() {
+        await this.loaded
+        if (this.save.idStorage === 'sidecar') {
+            new obsidian.Notice('Busy Mango: ids are already kept in the sidecar index')
+            return
+        }
+
+        await this.runExclusive(async () => {
+            this.save.idStorage = 'sidecar'
+            for (const holder of this.projectsLibrary.projectFileManipulators) {
+                holder.storeSidecarIds()
+                holder.removeInlineIds()
+                await holder.flush()
+            }
+            await this.saveData(this.save)
+        })
+
+        await this.reloadLibrary()
+        new obsidian.Notice('Busy Mango: ids moved to the sidecar index')
+    }
+
+    // writes ids from the sidecar index back into the files as markers
+    async migrateIdsToInline() {
+        await this.loaded
+        if (this.save.idStorage === 'inline') {
+            new obsidian.Notice('Busy Mango: ids are already kept in the files')
+            return
+        }
+
+        await this.runExclusive(async () => {
+            this.save.idStorage = 'inline'
+            for (const holder of this.projectsLibrary.projectFileManipulators) {
+                holder.writeInlineIds()
+                await holder.flush()
+            }
+            this.idIndex.clear()
+            await this.saveData(this.save)
+        })
+
+        await this.reloadLibrary()
+        new obsidian.Notice('Busy Mango: ids moved into the files')
+    }
+
+    async confirmPreviousTaskCompletion() {
+        if (!this.history.hasHistoryCandidate()) return
+
+        let todoDesc = ''
+        let todoProjectName = ''
+
+        const candidateTodo = this.history.getCandidateTodo()
 
         if (candidateTodo) {
-            todoDesc = candidateTodo.desc
+            todoDesc = candidateTodo.getContextDesc()
             todoProjectName = candidateTodo.project.name
         } else {
             todoDesc = this.save.currTodoName
@@ -942,216 +3353,1250 @@ class BusyMangoPlugin extends obsidian.Plugin {
             ).openAndWait()
 
             if (ans) {
-                this.history.acceptHistoryCandidate()
+                await this.completeCurrentTask()
             } else {
-                this.history.rejectHistoryCandidate()
+                await this.dropCurrentTask()
             }
         }
-
-        this.history.save()
     }
 
-    async activateView() {
-        const { workspace } = this.app
-
-        let leaf = null
-        const leaves = workspace.getLeavesOfType(VIEW_TYPE_BUSY_MANGO)
-
-        if (leaves.length > 0) {
-            // A leaf with our view already exists, use that
-            leaf = leaves[0]
-        } else {
-            // Our view could not be found in the workspace, create a new leaf
-            // in the right sidebar for it
-            leaf = workspace.getLeaf('tab') // opens a tab in a central pane
-            await leaf.setViewState({ type: VIEW_TYPE_BUSY_MANGO, active: true })
+    async completeCurrentTask() {
+        const todo = this.history.getCandidateTodo()
+        const planned = this.isPlanned(this.save.currTodo)
+        this.focusTimer.stop()
+        this.history.acceptHistoryCandidate()
+        if (todo) {
+            await this.writeTodoCompletion(todo)
         }
+        this.history.save()
 
-        // "Reveal" the leaf in case it is in a collapsed sidebar
-        workspace.revealLeaf(leaf)
-    }
-
-    deactivateView() {
-        const { workspace } = this.app
-        workspace.detachLeavesOfType(VIEW_TYPE_BUSY_MANGO)
+        if (planned) {
+            await this.onPlanChanged()
+            this.startNextPlanned()
+        }
     }
 
-    async suggest(filter) {
-        const allTodos = filter.filterTodos(this.projectsLibrary.getAvailableTodos())
-
-        const historyProjects = this.history.getHistoryProjects()
-        let historyTodos = historyProjects.flatMap(p => p.getAvailableTodos())
-        historyTodos = filter.filterTodos(historyTodos)
-        let notRegisteredTodos = allTodos.filter(x => !historyTodos.includes(x))
+    async dropCurrentTask() {
+        const planned = this.isPlanned(this.save.currTodo)
+        this.focusTimer.stop()
+        this.history.rejectHistoryCandidate()
+        this.history.save()
 
-        // first: not registered shuffled todos, then - todos in history order
-        notRegisteredTodos = weightedShuffle(notRegisteredTodos)
-        historyTodos = biasedSort(historyTodos)
-        const todos = [...notRegisteredTodos, ...historyTodos]
+        if (planned) {
+            await this.onPlanChanged()
+            this.startNextPlanned()
+        }
+    }
 
-        // console.log(todos)
+    // builds today's plan from the best ranked tasks
+    async generatePlan(timeBudget = 0) {
+        await this.loaded
 
+        const filter = this.makeFilter(null)
+        const todos = pickPlan(this.rankTodos(filter), {
+            size: this.save.planSize,
+            timeBudget,
+            perProject: this.save.planPerProject,
+            includeUnestimated: filter.includeUnestimated
+        })
         if (todos.length === 0) {
-            new Notice('No todos found for the given filter!')
+            new obsidian.Notice('Busy Mango: no tasks to plan')
             return
-        } 
-
-        for (const suggestion of todos) {
-            const accepted = await new QuestionModal(
-                capitalize(suggestion.project.name),
-                suggestion.desc,
-                this.app
-            ).openAndWait()
+        }
 
-            if (accepted) {
-                this.history.setHistoryCandidate(suggestion)
-                this.history.save()
-                this.deactivateView()
-                return
-            }
+        this.save.plan = {
+            date: formatDate(new Date()),
+            createdAt: Date.now(),
+            items: todos.map(todo => ({ todo: todo.id, project: todo.project.id, name: todo.desc }))
         }
+        await this.onPlanChanged()
+    }
 
-        // if you're here, there is no todos for you
-        new Notice('No todos for you!')
+    isPlanned(todoId) {
+        return todoId !== null && (this.save.plan?.items.some(item => item.todo === todoId) ?? false)
     }
 
-    onunload() {
-        this.deactivateView()
+    // 'done' or 'dropped' after the plan was made, 'current', 'missing' if the
+    // todo is gone, or 'open'
+    getPlanItemStatus(item) {
+        const outcome = this.save.events.findLast(event =>
+            event.todo === item.todo && event.time >= this.save.plan.createdAt &&
+            (event.type === EventType.COMPLETED || event.type === EventType.DROPPED))
+
+        if (outcome) return outcome.type === EventType.COMPLETED ? 'done' : 'dropped'
+        if (this.save.currTodo === item.todo) return 'current'
+        if (!this.projectsLibrary.getTodoById(item.todo)) return 'missing'
+        return 'open'
     }
-}
 
-class QuestionModal extends obsidian.Modal {
-    resolveCb // (result: boolean) => void
+    async movePlanItem(index, offset) {
+        const items = this.save.plan.items
+        const target = index + offset
+        if (target < 0 || target >= items.length) return
 
-    constructor(questionTitle, questionText, app) {
-        super(app)
-        this.setTitle(questionTitle)
-        this.setContent(questionText)
-        new obsidian.Setting(this.contentEl)
-            .addButton((btn) =>
-                btn
-                    .setButtonText('Yes')
-                    .setCta()
-                    .onClick(() => {
-                        this.close()
-                        this.resolveCb(true)
-                    })
-            )
-            .addButton((btn) =>
-                btn
-                    .setButtonText('No')
-                    .onClick(() => {
-                        this.close()
-                        this.resolveCb(false)
-                    })
-            )
+        [items[index], items[target]] = [items[target], items[index]]
+        await this.onPlanChanged()
     }
 
-    onOpen() {
+    async removePlanItem(index) {
+        this.save.plan.items.splice(index, 1)
+        await this.onPlanChanged()
     }
 
-    onClose() {
-        const { contentEl } = this
-        contentEl.empty()
+    // replaces a planned task with the best ranked one not planned yet
+    async swapPlanItem(index) {
+        const items = this.save.plan.items
+        const projectCounts = new Map()
+        for (const item of items.filter((_, i) => i !== index)) {
+            projectCounts.set(item.project, (projectCounts.get(item.project) ?? 0) + 1)
+        }
+
+        const replacement = this.rankTodos(this.makeFilter(null)).find(todo =>
+            !items.some(item => item.todo === todo.id) &&
+            (projectCounts.get(todo.project.id) ?? 0) < this.save.planPerProject)
+        if (!replacement) {
+            new obsidian.Notice('Busy Mango: nothing else to plan')
+            return
+        }
+
+        items[index] = { todo: replacement.id, project: replacement.project.id, name: replacement.desc }
+        await this.onPlanChanged()
     }
 
-    openAndWait() { // -> Promise<boolean>
-        this.open()
-        return new Promise(resolve => {
-            this.resolveCb = resolve
-        })
+    async clearPlan() {
+        this.save.plan = null
+        await this.onPlanChanged()
     }
-}
 
-const VIEW_TYPE_BUSY_MANGO = 'busy-mango-view'
+    // the plan's next open task becomes the current one, skipping tasks
+    // that got blocked, snoozed or aren't due again since the plan was made
+    startNextPlanned() {
+        const openItems = this.save.plan?.items.filter(item => this.getPlanItemStatus(item) === 'open') ?? []
+        if (openItems.length === 0) {
+            new obsidian.Notice('Busy Mango: nothing left in the plan')
+            return
+        }
 
-class BusyMangoView extends obsidian.ItemView {
-    plugin = null
+        const availableIds = new Set(this.projectsLibrary.getAvailableTodos().map(todo => todo.id))
+        const item = openItems.find(item => availableIds.has(item.todo))
+        if (!item) {
+            new obsidian.Notice('Busy Mango: the tasks left in the plan are blocked, snoozed or not due yet')
+            return
+        }
 
-    constructor(leaf, plugin) {
-        super(leaf)
-        this.plugin = plugin
-        this.icon = 'bean'
+        const todo = this.projectsLibrary.getTodoById(item.todo)
+        this.history.setHistoryCandidate(todo)
+        if (this.save.focusTimer) {
+            this.focusTimer.start(todo)
+        }
+        this.history.save()
+        new obsidian.Notice(`Busy Mango: next up — ${capitalize(todo.project.name)}: ${todo.getContextDesc()}`)
     }
 
-    getViewType() {
-        return VIEW_TYPE_BUSY_MANGO
+    async onPlanChanged() {
+        await this.saveData(this.save)
+        this.renderPlanViews()
+        if (this.save.planDailyNote && this.save.plan) {
+            await this.writePlanToDailyNote()
+        }
     }
 
-    getDisplayText() {
-        return 'Busy Mango'
+    renderPlanViews() {
+        for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_BUSY_MANGO)) {
+            leaf.view.renderPlan?.()
+        }
     }
 
-    async onOpen() {
-        const container = this.containerEl.children[1]
-        container.empty()
-        container.createEl('h4', { text: 'Busy Mango' })
+    // folder and format set up in the core Daily notes plugin
+    getDailyNotesOptions() {
+        return this.app.internalPlugins?.getPluginById?.('daily-notes')?.instance?.options ?? {}
+    }
 
-        container.createEl('button', { text: 'Any' }).on("click", "button", () => {
-            this.#initSuggestion(new Filter())
-        })
+    // path of today's note as set up in the core Daily notes plugin
+    getDailyNotePath() {
+        const options = this.getDailyNotesOptions()
+        const name = obsidian.moment().format(options.format || 'YYYY-MM-DD')
+        const folder = options.folder?.trim() ?? ''
+        return obsidian.normalizePath(folder ? `${folder}/${name}.md` : `${name}.md`)
+    }
 
-        container.createEl('button', { text: 'Urgent Urgent' }).on("click", "button", () => {
-            this.#initSuggestion(new Filter({ urgenturgent: true }))
-        })
+    // whether the file is a note of the daily notes core plugin, today's or any other
+    isDailyNote(file) {
+        const options = this.getDailyNotesOptions()
+        const folder = obsidian.normalizePath(options.folder?.trim() || '/')
+        const parent = file.parent?.path ?? '/'
+        return (parent === folder || (folder === '/' && parent === ''))
+            && obsidian.moment(file.basename, options.format || 'YYYY-MM-DD', true).isValid()
+    }
 
-        container.createEl('button', { text: 'Urgent' }).on("click", "button", () => {
-            this.#initSuggestion(new Filter({ urgent: true }))
+    // writes the plan as a checklist under its own heading in today's note
+    async writePlanToDailyNote() {
+        const body = this.save.plan.items.map(item => {
+            const project = this.projectsLibrary.getProjectById(item.project)
+            const file = project && this.projectsLibrary.getFileManipulator(project)?.projectFile
+            const projectName = capitalize(project?.name ?? 'Unknown Project')
+            const projectLink = file ? `[[${file.path.replace(/\.md$/, '')}|${projectName}]]` : projectName
+            const checked = this.getPlanItemStatus(item) === 'done' ? 'x' : ' '
+            return `- [${checked}] ${projectLink}: ${item.name}`
         })
 
-        container.createEl('button', { text: 'Strategic' }).on("click", "button", () => {
-            this.#initSuggestion(new Filter({ strategic: true }))
-        })
+        const { vault } = this.app
+        const path = this.getDailyNotePath()
+        const file = vault.getFileByPath(path)
+        try {
+            if (file) {
+                await vault.process(file, (content) => replaceSection(content.split('\n'), PLAN_HEADING, body).join('\n'))
+            } else {
+                await vault.create(path, replaceSection([], PLAN_HEADING, body).join('\n') + '\n')
+            }
+        } catch (e) {
+            console.error(`Busy Mango: failed to write the plan to ${path}`, e)
+            new obsidian.Notice(`Busy Mango: could not write the plan to ${path}`)
+        }
+    }
+
+    // opens the board of the current task scrolled to its line
+    async openCurrentTask() {
+        const todo = this.history.getCandidateTodo()
+        const holder = todo && this.projectsLibrary.getFileManipulator(todo.project)
+        if (!holder) return
 
-        container.createEl('button', { text: 'Interesting' }).on("click", "button", () => {
-            this.#initSuggestion(new Filter({ interesting: true }))
+        await this.app.workspace.getLeaf(false).openFile(holder.projectFile, {
+            eState: { line: holder.getTodoFileLine(todo) }
         })
+    }
 
-        this.app.workspace.onLayoutReady(async () => {
-            await this.plugin.loaded
+    // 'Project: task · 25m' for the current task, hidden without one
+    updateStatusBar() {
+        if (!this.history?.hasHistoryCandidate()) {
+            this.statusBarEl.toggle(false)
+            return
+        }
 
-            container.createEl('h5', { text: 'Areas' })
+        const todo = this.history.getCandidateTodo()
+        const project = todo?.project ?? this.projectsLibrary.getProjectById(this.save.currProject)
+        let text = `${capitalize(project?.name ?? 'Unknown Project')}: ${this.save.currTodoName}`
 
-            for (const area of this.plugin.projectsLibrary.getAllAreas()) {
-                container.createEl('button', { text: area }).on("click", "button", () => {
-                    this.#initSuggestion(new Filter({ areaName: area }))
-                })
-            }
+        const acceptedAt = this.history.getCandidateAcceptedAt()
+        if (acceptedAt !== null) {
+            text += ` · ${formatDuration(Math.floor((Date.now() - acceptedAt) / 60000))}`
+        }
+        if (this.focusTimer.isActive()) {
+            text += ` · ${this.focusTimer.describe()}`
+        }
 
-            container.createEl('h5', { text: 'Projects' })
+        this.statusBarEl.setText(text)
+        this.statusBarEl.toggle(true)
+    }
 
-            for (const project of this.plugin.projectsLibrary.projects) {
-                container.createEl('button', { text: project.name }).on("click", "button", () => {
-                    this.#initSuggestion(new Filter({ projectName: project.name }))
-                })
-            }
+    showCurrentTaskMenu(evt) {
+        if (!this.history?.hasHistoryCandidate()) return
 
-            this.plugin.confirmPreviousTaskCompletion()
-        })
+        const menu = new obsidian.Menu()
+        menu.addItem((item) =>
+            item
+                .setTitle('Mark done')
+                .setIcon('check')
+                .onClick(() => this.completeCurrentTask())
+        )
+        menu.addItem((item) =>
+            item
+                .setTitle('Drop')
+                .setIcon('x')
+                .onClick(() => this.dropCurrentTask())
+        )
+        if (this.history.getCandidateTodo()) {
+            menu.addItem((item) =>
+                item
+                    .setTitle('Go to task')
+                    .setIcon('file-search')
+                    .onClick(() => this.openCurrentTask())
+            )
+        }
+        menu.addSeparator()
+        if (!this.focusTimer.isActive()) {
+            menu.addItem((item) =>
+                item
+                    .setTitle('Start focus session')
+                    .setIcon('timer')
+                    .onClick(() => this.startFocusSession())
+            )
+        } else {
+            menu.addItem((item) =>
+                item
+                    .setTitle(this.focusTimer.isPaused() ? 'Resume focus session' : 'Pause focus session')
+                    .setIcon(this.focusTimer.isPaused() ? 'play' : 'pause')
+                    .onClick(() => this.toggleFocusPause())
+            )
+            menu.addItem((item) =>
+                item
+                    .setTitle('Stop focus session')
+                    .setIcon('square')
+                    .onClick(() => this.stopFocusSession())
+            )
+        }
+        menu.addSeparator()
+        menu.addItem((item) =>
+            item
+                .setTitle('Suggest next task')
+                .setIcon('bean')
+                .onClick(() => this.suggestFromCommand(null))
+        )
+        menu.showAtMouseEvent(evt)
     }
 
-    async onload() {
-        const container = this.containerEl.children[1]
+    startFocusSession() {
+        const todo = this.history.getCandidateTodo()
+        if (todo) {
+            this.focusTimer.start(todo)
+        }
     }
 
-    async onClose() {
-        // Nothing to clean up.
+    toggleFocusPause() {
+        if (this.focusTimer.isPaused()) {
+            this.focusTimer.resume()
+        } else {
+            this.focusTimer.pause()
+        }
     }
 
-    #initSuggestion(filter) {
-        this.plugin.suggest(filter)
+    // ending a session early asks about the task as the last focus period does
+    stopFocusSession() {
+        this.focusTimer.stop()
+        this.confirmPreviousTaskCompletion()
     }
-}
 
-class BusyMangoSettingTab extends obsidian.PluginSettingTab {
-    plugin
+    snoozeTodo(todo, until) {
+        this.save.snoozed[todo.id] = until
+        this.history.log(EventType.SNOOZED, todo.id, todo.project.id, todo.desc, { until })
+        this.history.save()
+        this.renderLibraryViews()
+    }
 
-    constructor(app, plugin) {
-        super(app, plugin)
-        this.plugin = plugin
+    wakeTodo(todoId) {
+        delete this.save.snoozed[todoId]
+        this.history.save()
+        this.renderLibraryViews()
     }
 
-    display() {
+    // drops the 'snooze-until' frontmatter field of the project
+    async wakeProject(project) {
+        await this.runExclusive(async () => {
+            const holder = this.projectsLibrary.getFileManipulator(project)
+            if (!holder) return
+
+            holder.setFrontmatterKey('snooze-until', undefined)
+            await holder.flush()
+            await this.projectsLibrary.reloadPath(holder.projectFile.path)
+            this.onLibraryChanged()
+        })
+    }
+
+    removeExpiredSnoozes() {
+        const today = new Date()
+        for (const [id, until] of Object.entries(this.save.snoozed)) {
+            const date = parseDate(until)
+            if (date === null || daysBetween(today, date) <= 0) {
+                delete this.save.snoozed[id]
+            }
+        }
+    }
+
+    renderLibraryViews() {
+        for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_BUSY_MANGO)) {
+            leaf.view.renderLibrary?.()
+        }
+    }
+
+    // saves { criteria } or { query } as a named preset, replacing one with the same name
+    async savePreset(name, filter) {
+        const presets = this.save.filterPresets.filter(preset => preset.name !== name)
+        this.save.filterPresets = [...presets, { name, ...filter }]
+        await this.saveData(this.save)
+        this.renderLibraryViews()
+    }
+
+    async deletePreset(name) {
+        this.save.filterPresets = this.save.filterPresets.filter(preset => preset.name !== name)
+        await this.saveData(this.save)
+        this.renderLibraryViews()
+    }
+
+    // filter with the settings that apply to every suggestion
+    makeFilter(criteria, timeBudget = 0) {
+        return new Filter({
+            criteria,
+            timeBudget,
+            includeUnestimated: this.save.unestimatedTasks !== 'exclude'
+        })
+    }
+
+    // asks about the current task first, as opening the view does
+    async suggestFromCommand(criteria) {
+        await this.loaded
+        await this.confirmPreviousTaskCompletion()
+        await this.suggest(this.makeFilter(criteria))
+    }
+
+    registerViews() {
+        if (this.viewRegistered) return
+
+        this.registerView(
+            VIEW_TYPE_BUSY_MANGO,
+            (leaf) => new BusyMangoView(leaf, this)
+        )
+        this.registerView(
+            VIEW_TYPE_BUSY_MANGO_STATS,
+            (leaf) => new BusyMangoStatsView(leaf, this)
+        )
+        this.viewRegistered = true
+    }
+
+    async activateView() {
+        const { workspace } = this.app
+
+        let leaf = null
+        const leaves = workspace.getLeavesOfType(VIEW_TYPE_BUSY_MANGO)
+
+        if (leaves.length > 0) {
+            // A leaf with our view already exists, use that
+            leaf = leaves[0]
+        } else {
+            // Our view could not be found in the workspace, create a new leaf
+            // in the right sidebar for it
+            leaf = workspace.getLeaf('tab') // opens a tab in a central pane
+            await leaf.setViewState({ type: VIEW_TYPE_BUSY_MANGO, active: true })
+        }
+
+        // "Reveal" the leaf in case it is in a collapsed sidebar
+        workspace.revealLeaf(leaf)
+    }
+
+    deactivateView() {
+        const { workspace } = this.app
+        workspace.detachLeavesOfType(VIEW_TYPE_BUSY_MANGO)
+    }
+
+    async activateStatsView() {
+        const { workspace } = this.app
+
+        let leaf = workspace.getLeavesOfType(VIEW_TYPE_BUSY_MANGO_STATS)[0]
+        if (!leaf) {
+            leaf = workspace.getLeaf('tab')
+            await leaf.setViewState({ type: VIEW_TYPE_BUSY_MANGO_STATS, active: true })
+        }
+
+        workspace.revealLeaf(leaf)
+    }
+
+    renderStatsViews() {
+        for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_BUSY_MANGO_STATS)) {
+            leaf.view.render?.()
+        }
+    }
+
+    // available todos that pass the filter with their scores, the best candidates first.
+    // Each score's neglect also gets the `lastWorked` time it was computed from,
+    // `estimated` if that time was made up for an entry of the old history.
+    // With a random seed in the settings the same data always gives the same ranking
+    scoreTodos(filter) {
+        const allTodos = filter.filterTodos(this.projectsLibrary.getAvailableTodos())
+
+        // projects not worked on for long come first, never worked on - before all
+        const now = Date.now()
+        const lastWorked = this.history.getNeglectTimes(now)
+        const knownLastWorked = this.history.getLastWorkedTimes()
+        const scored = weightedShuffle(allTodos, {
+            getNeglect: project => neglectScore(lastWorked.get(project.id), now, this.save.neglectHalfLife),
+            dimensionWeights: this.save.dimensionWeights,
+            priorityWeights: this.save.priorityWeights,
+            customDimensions: this.save.customDimensions,
+            random: this.save.randomSeed === null ? Math.random : seededRandom(this.save.randomSeed)
+        })
+
+        for (const { todo, score } of scored) {
+            score.neglect.lastWorked = lastWorked.get(todo.project.id)
+            score.neglect.estimated = knownLastWorked.get(todo.project.id) === null
+        }
+        return scored
+    }
+
+    // available todos that pass the filter, the best candidates first
+    rankTodos(filter) {
+        return this.scoreTodos(filter).map(({ todo }) => todo)
+    }
+
+    async suggest(filter) {
+        const scored = this.scoreTodos(filter)
+
+        if (scored.length === 0) {
+            new obsidian.Notice('No todos found for the given filter!')
+            return
+        } 
+
+        for (const [rank, { todo: suggestion, score }] of scored.entries()) {
+            this.history.logTodo(EventType.SUGGESTED, suggestion)
+            const explanation = {
+                score,
+                rank,
+                count: scored.length,
+                seed: this.save.randomSeed
+            }
+            const { answer, until } = await new SuggestionModal(suggestion, this.app, explanation).openAndWait()
+
+            if (answer === 'cancel') {
+                this.history.save()
+                return
+            }
+
+            if (answer === 'snooze') {
+                this.snoozeTodo(suggestion, until)
+                continue
+            }
+
+            if (answer === 'accept') {
+                this.history.setHistoryCandidate(suggestion)
+                if (this.save.focusTimer) {
+                    this.focusTimer.start(suggestion)
+                }
+                this.history.save()
+                this.deactivateView()
+                return
+            }
+
+            this.history.logTodo(EventType.REJECTED, suggestion)
+        }
+
+        // if you're here, there is no todos for you
+        this.history.save()
+        new obsidian.Notice('No todos for you!')
+    }
+
+    // the last focus period is over, time to say how it went
+    onFocusSessionEnd() {
+        new obsidian.Notice('Busy Mango: focus session is over')
+        this.confirmPreviousTaskCompletion()
+    }
+
+    onunload() {
+        this.deactivateView()
+        this.app.workspace.detachLeavesOfType(VIEW_TYPE_BUSY_MANGO_STATS)
+        if (this.focusTimer?.isActive()) {
+            this.focusTimer.sync()
+            this.saveData(this.save)
+        }
+    }
+}
+
+class QuestionModal extends obsidian.Modal {
+    resolveCb // (result: boolean) => void
+
+    constructor(questionTitle, questionText, app) {
+        super(app)
+        this.setTitle(questionTitle)
+        this.setContent(questionText)
+        new obsidian.Setting(this.contentEl)
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Yes')
+                    .setCta()
+                    .onClick(() => {
+                        this.close()
+                        this.resolveCb(true)
+                    })
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText('No')
+                    .onClick(() => {
+                        this.close()
+                        this.resolveCb(false)
+                    })
+            )
+    }
+
+    onOpen() {
+    }
+
+    onClose() {
+        const { contentEl } = this
+        contentEl.empty()
+    }
+
+    openAndWait() { // -> Promise<boolean>
+        this.open()
+        return new Promise(resolve => {
+            this.resolveCb = resolve
+        })
+    }
+}
+
+// asks whether to take a suggested todo, or to snooze it until a later day.
+// Resolves with { answer: 'accept' | 'reject' | 'snooze' | 'cancel', until }
+class SuggestionModal extends obsidian.Modal {
+    resolveCb // (result: object) => void
+
+    // `explanation` is { score, rank, count, seed } for "Why this task?",
+    // score as returned by scoreTodos
+    constructor(todo, app, explanation = null) {
+        super(app)
+        this.setTitle(capitalize(todo.project.name))
+        this.setContent(todo.getContextDesc())
+
+        new obsidian.Setting(this.contentEl)
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Yes')
+                    .setCta()
+                    .onClick(() => this.answer('accept'))
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText('No')
+                    .onClick(() => this.answer('reject'))
+            )
+
+        const inDays = (days) => {
+            const date = new Date()
+            date.setDate(date.getDate() + days)
+            return formatDate(date)
+        }
+
+        let pickedDate = inDays(2)
+        new obsidian.Setting(this.contentEl)
+            .setName('Snooze')
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Tomorrow')
+                    .onClick(() => this.answer('snooze', inDays(1)))
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Next week')
+                    .onClick(() => this.answer('snooze', inDays(7)))
+            )
+            .addText((text) => {
+                text.inputEl.type = 'date'
+                text
+                    .setValue(pickedDate)
+                    .onChange((value) => {
+                        pickedDate = value
+                    })
+            })
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Until date')
+                    .onClick(() => {
+                        if (parseDate(pickedDate)) {
+                            this.answer('snooze', pickedDate)
+                        }
+                    })
+            )
+
+        if (explanation) {
+            this.#renderExplanation(todo, explanation)
+        }
+    }
+
+    #renderExplanation(todo, { score, rank, count, seed }) {
+        const points = (x) => x < 10 ? x.toFixed(1) : String(Math.round(x))
+        const details = this.contentEl.createEl('details', { cls: 'busy-mango-why' })
+        details.createEl('summary', { text: 'Why this task?' })
+        details.createEl('p', { text: `Candidate ${rank + 1} of ${count}, scored ${points(score.total)}:` })
+
+        const list = details.createEl('ul')
+        const { neglect } = score
+        const lastWorked = describeLastWorked(neglect.lastWorked, Date.now()) + (neglect.estimated ? ' (estimated from the old history order)' : '')
+        list.createEl('li', {
+            text: `Neglect: ${lastWorked}, ${Math.round(neglect.value * 100)}% × ${neglect.weight} = ${points(neglect.score)}`
+        })
+        for (const { name, priority, priorityWeight, weight, random, score: dimensionScore } of score.dimensions) {
+            list.createEl('li', {
+                text: `${capitalize(name)}: ${PRIORITY_NAMES[priority]} (${priorityWeight}) × ${weight} × random ${random.toFixed(2)} = ${points(dimensionScore)}`
+            })
+        }
+        for (const override of describeUrgencyOverrides(todo)) {
+            list.createEl('li', { text: override })
+        }
+
+        details.createEl('p', {
+            cls: 'setting-item-description',
+            text: seed === null
+                ? 'Random factors change every time. Set a random seed in the settings to reproduce a ranking.'
+                : `Random factors come from seed ${seed}, so the same tasks and history give the same ranking.`
+        })
+    }
+
+    answer(answer, until = null) {
+        this.resolveCb?.({ answer, until })
+        this.resolveCb = null
+        this.close()
+    }
+
+    onClose() {
+        // closed without an answer
+        this.resolveCb?.({ answer: 'cancel', until: null })
+        this.resolveCb = null
+        this.contentEl.empty()
+    }
+
+    openAndWait() { // -> Promise<{ answer, until }>
+        this.open()
+        return new Promise(resolve => {
+            this.resolveCb = resolve
+        })
+    }
+}
+
+// asks for a filter query, showing syntax errors while typing
+class QueryModal extends obsidian.Modal {
+    onSubmit // (criteria) => void
+
+    constructor(app, onSubmit) {
+        super(app)
+        this.onSubmit = onSubmit
+        this.setTitle('Suggest next task for a query')
+    }
+
+    onOpen() {
+        const { contentEl } = this
+        contentEl.empty()
+
+        let query = ''
+        const submit = () => {
+            const { criteria, error } = parseQuery(query)
+            if (error) return
+
+            this.close()
+            this.onSubmit(criteria)
+        }
+
+        new obsidian.Setting(contentEl)
+            .addText((text) => {
+                text
+                    .setPlaceholder('area:work urgency>=high effort<30m')
+                    .onChange((value) => {
+                        query = value
+                        const { error } = parseQuery(query)
+                        errorEl.setText(error ? describeQueryError(error) : '')
+                    })
+                text.inputEl.addEventListener('keydown', (evt) => {
+                    if (evt.key === 'Enter') submit()
+                })
+            })
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Suggest')
+                    .setCta()
+                    .onClick(submit)
+            )
+        const errorEl = contentEl.createDiv({ cls: 'busy-mango-query-error' })
+    }
+
+    onClose() {
+        this.contentEl.empty()
+    }
+}
+
+class IdIntegrityModal extends obsidian.Modal {
+    plugin
+
+    constructor(app, plugin) {
+        super(app)
+        this.plugin = plugin
+        this.setTitle('Busy Mango ids')
+    }
+
+    onOpen() {
+        const { contentEl } = this
+        contentEl.empty()
+
+        const report = this.plugin.projectsLibrary.validateIds()
+        const todoText = (todo) => `${capitalize(todo.project.name)}: ${todo.getContextDesc()}`
+        const boardText = (board) => removeHtmlId(board.name) || 'Default'
+
+        const problems = [
+            ...report.duplicateProjects.map(group =>
+                `Projects sharing id ${group[0].id}: ${group.map(p => p.name).join(', ')}`),
+            ...report.duplicateBoards.map(group =>
+                `Boards sharing id ${group[0].id} in ${group[0].project.name}: ${group.map(boardText).join(', ')}`),
+            ...report.duplicateTodos.map(group =>
+                `Todos sharing id ${group[0].id}: ${group.map(todoText).join('; ')}`),
+            ...report.orphanHistoryProjects.map(id =>
+                `History refers to project ${id}, which no longer exists`),
+        ]
+        if (report.orphanCandidate) {
+            problems.push(`Current task ${this.plugin.save.currTodo} (${this.plugin.save.currTodoName}) no longer exists`)
+        }
+
+        if (problems.length === 0) {
+            contentEl.createEl('p', { text: 'No problems found.' })
+        } else {
+            const list = contentEl.createEl('ul')
+            for (const problem of problems) {
+                list.createEl('li', { text: problem })
+            }
+            contentEl.createEl('p', { text: 'Repair keeps the first item of every group and gives the others new ids. History entries pointing nowhere are removed.' })
+        }
+
+        const buttons = new obsidian.Setting(contentEl)
+        if (problems.length > 0) {
+            buttons.addButton((btn) =>
+                btn
+                    .setButtonText('Repair')
+                    .setCta()
+                    .onClick(async () => {
+                        await this.plugin.repairIds()
+                        new obsidian.Notice('Busy Mango: ids repaired')
+                        this.onOpen()
+                    })
+            )
+        }
+        buttons.addButton((btn) =>
+            btn
+                .setButtonText('Close')
+                .onClick(() => this.close())
+        )
+    }
+
+    onClose() {
+        const { contentEl } = this
+        contentEl.empty()
+    }
+}
+
+const VIEW_TYPE_BUSY_MANGO = 'busy-mango-view'
+
+const PLAN_HEADING = '## Busy Mango Plan'
+
+class BusyMangoView extends obsidian.ItemView {
+    plugin = null
+    timeBudget = 0 // minutes, 0 means no limit
+    // areas, projects and flags to combine into a filter, kept across re-renders
+    builder = { areas: [], excludeAreas: false, projects: [], excludeProjects: false, flags: [], anyFlag: false }
+    builderOpen = false
+
+    constructor(leaf, plugin) {
+        super(leaf)
+        this.plugin = plugin
+        this.icon = 'bean'
+    }
+
+    getViewType() {
+        return VIEW_TYPE_BUSY_MANGO
+    }
+
+    getDisplayText() {
+        return 'Busy Mango'
+    }
+
+    async onOpen() {
+        const container = this.containerEl.children[1]
+        container.empty()
+        container.createEl('h4', { text: 'Busy Mango' })
+
+        new obsidian.Setting(container)
+            .setName('Time I have')
+            .setDesc('Skip tasks that take longer, e.g. 20m or 1h30m')
+            .addText((text) =>
+                text
+                    .setPlaceholder('Any')
+                    .onChange((value) => {
+                        this.timeBudget = parseDuration(value) ?? 0
+                    })
+            )
+
+        let query = ''
+        const suggestForQuery = () => {
+            const { criteria, error } = parseQuery(query)
+            if (!error) {
+                this.#initSuggestion(criteria)
+            }
+        }
+        const querySetting = new obsidian.Setting(container)
+            .setName('Query')
+            .setDesc('e.g. area:work urgency>=high -project:"Old Site" effort<30m')
+            .addText((text) => {
+                text
+                    .setPlaceholder('Any')
+                    .onChange((value) => {
+                        query = value
+                        const { error } = parseQuery(query)
+                        queryErrorEl.setText(error ? describeQueryError(error) : '')
+                    })
+                text.inputEl.addEventListener('keydown', (evt) => {
+                    if (evt.key === 'Enter') suggestForQuery()
+                })
+            })
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Suggest')
+                    .onClick(suggestForQuery)
+            )
+        const queryErrorEl = querySetting.descEl.createDiv({ cls: 'busy-mango-query-error' })
+
+        for (const { name, criteria } of BUILT_IN_FILTERS) {
+            container.createEl('button', { text: name }).on("click", "button", () => {
+                this.#initSuggestion(criteria)
+            })
+        }
+
+        this.presetsEl = container.createSpan()
+
+        container.createEl('button', { text: 'Statistics' }).on("click", "button", () => {
+            this.plugin.activateStatsView()
+        })
+
+        this.planEl = container.createDiv()
+        this.libraryEl = container.createDiv()
+
+        this.app.workspace.onLayoutReady(async () => {
+            await this.plugin.loaded
+            this.renderPlan()
+            this.renderLibrary()
+            this.plugin.confirmPreviousTaskCompletion()
+        })
+    }
+
+    // today's plan with buttons to reorder, swap and remove its tasks
+    renderPlan() {
+        const container = this.planEl
+        if (!container) return
+        container.empty()
+
+        container.createEl('h5', { text: 'Plan' })
+        container.createEl('button', { text: 'Plan My Day' }).on("click", "button", () => {
+            this.plugin.generatePlan(this.timeBudget)
+        })
+
+        const plan = this.plugin.save.plan
+        if (!plan) return
+
+        container.createEl('button', { text: 'Start Next' }).on("click", "button", async () => {
+            await this.plugin.confirmPreviousTaskCompletion()
+            if (!this.plugin.history.hasHistoryCandidate()) {
+                this.plugin.startNextPlanned()
+            }
+        })
+        container.createEl('button', { text: 'Clear' }).on("click", "button", () => {
+            this.plugin.clearPlan()
+        })
+
+        if (plan.date !== formatDate(new Date())) {
+            container.createEl('p', { text: `Planned on ${plan.date}` })
+        }
+
+        const marks = { done: '✓ ', dropped: '✗ ', current: '▶ ', missing: '? ', open: '' }
+        const list = container.createEl('ol', { cls: 'busy-mango-plan' })
+        plan.items.forEach((item, index) => {
+            const status = this.plugin.getPlanItemStatus(item)
+            const projectName = this.plugin.projectsLibrary.getProjectById(item.project)?.name ?? 'Unknown Project'
+            const li = list.createEl('li', { cls: `busy-mango-plan-${status}` })
+            li.createSpan({ text: `${marks[status]}${capitalize(projectName)}: ${item.name}` })
+
+            if (status !== 'open') return
+            li.createEl('button', { text: '↑' }).on("click", "button", () => this.plugin.movePlanItem(index, -1))
+            li.createEl('button', { text: '↓' }).on("click", "button", () => this.plugin.movePlanItem(index, 1))
+            li.createEl('button', { text: 'Swap' }).on("click", "button", () => this.plugin.swapPlanItem(index))
+            li.createEl('button', { text: '✕' }).on("click", "button", () => this.plugin.removePlanItem(index))
+        })
+    }
+
+    // area and project buttons, re-rendered whenever the library changes
+    renderLibrary() {
+        const container = this.libraryEl
+        container.empty()
+
+        container.createEl('h5', { text: 'Areas' })
+
+        for (const area of this.plugin.projectsLibrary.getAllAreas()) {
+            container.createEl('button', { text: area }).on("click", "button", () => {
+                this.#initSuggestion({ field: 'area', op: '=', value: area })
+            })
+        }
+
+        container.createEl('h5', { text: 'Projects' })
+
+        for (const project of this.plugin.projectsLibrary.projects) {
+            container.createEl('button', { text: project.name }).on("click", "button", () => {
+                this.#initSuggestion({ field: 'project', op: '=', value: project.name })
+            })
+        }
+
+        this.#renderPresets()
+        this.#renderBuilder(container)
+
+        const library = this.plugin.projectsLibrary
+        const snoozedProjects = library.getSnoozedProjects()
+        const snoozedTodos = library.getSnoozedTodos()
+        if (snoozedProjects.length + snoozedTodos.length > 0) {
+            container.createEl('h5', { text: 'Snoozed' })
+            const list = container.createEl('ul')
+            for (const project of snoozedProjects) {
+                const li = list.createEl('li')
+                li.createSpan({ text: `${capitalize(project.name)} — until ${formatDate(project.snoozeUntil)} ` })
+                li.createEl('button', { text: 'Wake' }).on("click", "button", () => this.plugin.wakeProject(project))
+            }
+            for (const todo of snoozedTodos) {
+                const li = list.createEl('li')
+                li.createSpan({ text: `${capitalize(todo.project.name)}: ${todo.getContextDesc()} — until ${this.plugin.save.snoozed[todo.id]} ` })
+                li.createEl('button', { text: 'Wake' }).on("click", "button", () => this.plugin.wakeTodo(todo.id))
+            }
+        }
+
+        const blockedTodos = this.plugin.projectsLibrary.getBlockedTodos()
+        if (blockedTodos.length > 0) {
+            container.createEl('h5', { text: 'Blocked' })
+            const list = container.createEl('ul')
+            for (const todo of blockedTodos) {
+                const blockers = this.plugin.projectsLibrary.getBlockers(todo)
+                list.createEl('li', {
+                    text: `${capitalize(todo.project.name)}: ${todo.getContextDesc()} — blocked by ${blockers.map(b => `${capitalize(b.project.name)}: ${b.getContextDesc()}`).join(', ')}`
+                })
+            }
+        }
+    }
+
+    async onload() {
+        const container = this.containerEl.children[1]
+    }
+
+    async onClose() {
+        // Nothing to clean up.
+    }
+
+    #renderPresets() {
+        const container = this.presetsEl
+        container.empty()
+
+        for (const preset of this.plugin.save.filterPresets) {
+            container.createEl('button', { text: preset.name }).on("click", "button", () => {
+                const { criteria, error } = getPresetCriteria(preset)
+                if (error) {
+                    new obsidian.Notice(`Busy Mango: preset "${preset.name}" — ${describeQueryError(error)}`)
+                    return
+                }
+                this.#initSuggestion(criteria)
+            })
+        }
+    }
+
+    #renderBuilder(container) {
+        const builder = this.builder
+        const details = container.createEl('details', { cls: 'busy-mango-builder' })
+        details.open = this.builderOpen
+        details.addEventListener('toggle', () => {
+            this.builderOpen = details.open
+        })
+        details.createEl('summary', { text: 'Filter Builder' })
+
+        const toggleButton = (parent, text, isOn, onToggle) => {
+            parent.createEl('button', { text, cls: isOn ? 'mod-cta' : '' }).on("click", "button", () => {
+                onToggle()
+                this.renderLibrary()
+            })
+        }
+        const toggleName = (list, name) => {
+            const index = list.indexOf(name)
+            if (index === -1) list.push(name)
+            else list.splice(index, 1)
+        }
+
+        const areasEl = details.createDiv({ text: 'Areas: ' })
+        for (const area of this.plugin.projectsLibrary.getAllAreas()) {
+            toggleButton(areasEl, area, builder.areas.includes(area), () => toggleName(builder.areas, area))
+        }
+        toggleButton(areasEl, 'Exclude', builder.excludeAreas, () => builder.excludeAreas = !builder.excludeAreas)
+
+        const projectsEl = details.createDiv({ text: 'Projects: ' })
+        for (const project of this.plugin.projectsLibrary.projects) {
+            toggleButton(projectsEl, project.name, builder.projects.includes(project.name), () => toggleName(builder.projects, project.name))
+        }
+        toggleButton(projectsEl, 'Exclude', builder.excludeProjects, () => builder.excludeProjects = !builder.excludeProjects)
+
+        const flagsEl = details.createDiv({ text: 'Only: ' })
+        for (const { name, criteria } of BUILT_IN_FILTERS) {
+            if (!criteria) continue
+            toggleButton(flagsEl, name, builder.flags.includes(name), () => toggleName(builder.flags, name))
+        }
+        toggleButton(flagsEl, builder.anyFlag ? 'Any of them' : 'All of them', false, () => builder.anyFlag = !builder.anyFlag)
+
+        const actionsEl = details.createDiv()
+        actionsEl.createEl('button', { text: 'Suggest', cls: 'mod-cta' }).on("click", "button", () => {
+            this.#initSuggestion(buildCriteria(builder))
+        })
+
+        let presetName = ''
+        new obsidian.Setting(actionsEl)
+            .setName('Save as preset')
+            .addText((text) =>
+                text
+                    .setPlaceholder('Name')
+                    .onChange((value) => {
+                        presetName = value.trim()
+                    })
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Save')
+                    .onClick(() => {
+                        if (presetName) {
+                            this.plugin.savePreset(presetName, { criteria: buildCriteria(builder) })
+                        }
+                    })
+            )
+
+        for (const preset of this.plugin.save.filterPresets) {
+            new obsidian.Setting(actionsEl)
+                .setName(preset.name)
+                .addExtraButton((btn) =>
+                    btn
+                        .setIcon('trash')
+                        .setTooltip('Delete preset')
+                        .onClick(() => this.plugin.deletePreset(preset.name))
+                )
+        }
+    }
+
+    #initSuggestion(criteria) {
+        this.plugin.suggest(this.plugin.makeFilter(criteria, this.timeBudget))
+    }
+}
+
+const VIEW_TYPE_BUSY_MANGO_STATS = 'busy-mango-stats-view'
+
+const STATS_PERIODS = {
+    '7': 'Last 7 days',
+    '30': 'Last 30 days',
+    '90': 'Last 90 days',
+    '365': 'Last year',
+    'all': 'All time'
+}
+
+class BusyMangoStatsView extends obsidian.ItemView {
+    plugin = null
+    period = '30' // key of STATS_PERIODS
+
+    constructor(leaf, plugin) {
+        super(leaf)
+        this.plugin = plugin
+        this.icon = 'bar-chart-2'
+    }
+
+    getViewType() {
+        return VIEW_TYPE_BUSY_MANGO_STATS
+    }
+
+    getDisplayText() {
+        return 'Busy Mango Statistics'
+    }
+
+    async onOpen() {
+        const container = this.containerEl.children[1]
+        container.empty()
+        container.createEl('h4', { text: 'Busy Mango Statistics' })
+
+        new obsidian.Setting(container)
+            .setName('Period')
+            .addDropdown((dropdown) => {
+                for (const key in STATS_PERIODS) {
+                    dropdown.addOption(key, STATS_PERIODS[key])
+                }
+                dropdown
+                    .setValue(this.period)
+                    .onChange((value) => {
+                        this.period = value
+                        this.render()
+                    })
+            })
+
+        this.statsEl = container.createDiv()
+
+        this.app.workspace.onLayoutReady(async () => {
+            await this.plugin.loaded
+            this.render()
+        })
+    }
+
+    // re-rendered whenever the history or the library changes
+    render() {
+        const container = this.statsEl
+        if (!container || !this.plugin.history) return
+        container.empty()
+
+        const now = Date.now()
+        const since = this.period === 'all' ? null : now - parseInt(this.period, 10) * 86400000
+        const stats = new Statistics(this.plugin.history, this.plugin.projectsLibrary)
+
+        container.createEl('h5', { text: 'Completed per project' })
+        this.#renderBarChart(container, stats.getCompletionsByProject(since))
+
+        container.createEl('h5', { text: 'Completed per area' })
+        this.#renderBarChart(container, stats.getCompletionsByArea(since))
+
+        container.createEl('h5', { text: 'Focused per project' })
+        this.#renderBarChart(container, stats.getFocusByProject(since), formatDuration)
+
+        container.createEl('h5', { text: 'Longest neglected projects' })
+        const neglectedList = container.createEl('ol')
+        for (const { project, lastTime } of stats.getNeglectedProjects().slice(0, 10)) {
+            neglectedList.createEl('li', { text: `${capitalize(project.name)} — ${describeLastWorked(lastTime, now)}` })
+        }
+
+        const counts = stats.getEventCounts(since)
+        const percent = (part, whole) => whole > 0 ? `${Math.round(part / whole * 100)}%` : '—'
+        container.createEl('h5', { text: 'Suggestions' })
+        this.#renderBarChart(container, [
+            { label: 'Suggested', value: counts[EventType.SUGGESTED] },
+            { label: 'Rejected', value: counts[EventType.REJECTED] },
+            { label: 'Accepted', value: counts[EventType.ACCEPTED] },
+            { label: 'Completed', value: counts[EventType.COMPLETED] },
+            { label: 'Dropped', value: counts[EventType.DROPPED] },
+        ])
+        container.createEl('p', {
+            text: `Accepted ${percent(counts[EventType.ACCEPTED], counts[EventType.SUGGESTED])} of suggestions, ` +
+                `dropped ${percent(counts[EventType.DROPPED], counts[EventType.ACCEPTED])} of accepted tasks`
+        })
+
+        const streaks = stats.getStreaks(now)
+        container.createEl('h5', { text: 'Streaks' })
+        container.createEl('p', {
+            text: `Current: ${streaks.current} days in a row with a completed task, longest: ${streaks.longest}`
+        })
+    }
+
+    // horizontal bars scaled to the largest value, drawn with plain divs
+    #renderBarChart(container, rows, formatValue = String) {
+        if (rows.every(row => row.value === 0)) {
+            container.createEl('p', { text: 'Nothing in this period', cls: 'busy-mango-chart-empty' })
+            return
+        }
+
+        const max = Math.max(...rows.map(row => row.value))
+        const chart = container.createDiv({ cls: 'busy-mango-chart' })
+        for (const row of rows) {
+            const rowEl = chart.createDiv({ cls: 'busy-mango-chart-row' })
+            rowEl.createDiv({ cls: 'busy-mango-chart-label', text: row.label })
+            const track = rowEl.createDiv({ cls: 'busy-mango-chart-track' })
+            track.createDiv({ cls: 'busy-mango-chart-bar' }).style.width = `${row.value / max * 100}%`
+            rowEl.createDiv({ cls: 'busy-mango-chart-value', text: formatValue(row.value) })
+        }
+    }
+
+    async onClose() {
+        // Nothing to clean up.
+    }
+}
+
+class BusyMangoSettingTab extends obsidian.PluginSettingTab {
+    plugin
+
+    constructor(app, plugin) {
+        super(app, plugin)
+        this.plugin = plugin
+    }
+
+    display() {
         let { containerEl } = this
 
         containerEl.empty()
@@ -1166,6 +4611,518 @@ class BusyMangoSettingTab extends obsidian.PluginSettingTab {
                     .onChange(async (value) => {
                         this.plugin.save.busyMangoDir = value
                         await this.plugin.saveData(this.plugin.save)
+                        this.plugin.reloadLibraryDebounced()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Folder Areas')
+            .setDesc('Use the subfolder a project lives in as one of its areas, e.g. "Work" for Work/Site.md')
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(this.plugin.save.folderAreas)
+                    .onChange(async (value) => {
+                        this.plugin.save.folderAreas = value
+                        await this.plugin.saveData(this.plugin.save)
+                        this.plugin.reloadLibraryDebounced()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Include Patterns')
+            .setDesc('Only scan files matching these globs, one per line, relative to the projects folder. Empty means everything, or only the top-level notes when the projects folder is the vault root')
+            .addTextArea((text) =>
+                text
+                    .setPlaceholder('Work/**')
+                    .setValue(this.plugin.save.includePatterns.join('\n'))
+                    .onChange(async (value) => {
+                        this.plugin.save.includePatterns = splitLines(value)
+                        await this.plugin.saveData(this.plugin.save)
+                        this.plugin.reloadLibraryDebounced()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Exclude Patterns')
+            .setDesc('Skip files and folders matching these globs, one per line')
+            .addTextArea((text) =>
+                text
+                    .setPlaceholder('Templates\n**/Archive')
+                    .setValue(this.plugin.save.excludePatterns.join('\n'))
+                    .onChange(async (value) => {
+                        this.plugin.save.excludePatterns = splitLines(value)
+                        await this.plugin.saveData(this.plugin.save)
+                        this.plugin.reloadLibraryDebounced()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('On Completion')
+            .setDesc('What to do with the task in its file when you confirm it is done. Repetitive tasks always stay open')
+            .addDropdown((dropdown) =>
+                dropdown
+                    .addOption('none', 'Leave it open')
+                    .addOption('check', 'Check it off')
+                    .addOption('move', 'Move it to the done column')
+                    .setValue(this.plugin.save.completionAction)
+                    .onChange(async (value) => {
+                        this.plugin.save.completionAction = value
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Done Column')
+            .setDesc('Kanban column completed tasks are moved to, a heading or a /regex/. Tasks are checked off in place in boards without one')
+            .addText((text) =>
+                text
+                    .setPlaceholder('Done')
+                    .setValue(this.plugin.save.doneColumn)
+                    .onChange(async (value) => {
+                        this.plugin.save.doneColumn = value
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        this.displayColumnSettings(containerEl)
+
+        const usesSidecar = this.plugin.save.idStorage === 'sidecar'
+        new obsidian.Setting(containerEl)
+            .setName('Id Storage')
+            .setDesc(usesSidecar
+                ? 'Task and column ids are kept in the sidecar index in plugin data, matched to lines by their text'
+                : 'Task and column ids are kept in the files as <!-- id: N --> markers')
+            .addButton((btn) =>
+                btn
+                    .setButtonText(usesSidecar ? 'Move into files' : 'Move to sidecar index')
+                    .onClick(async () => {
+                        if (usesSidecar) {
+                            await this.plugin.migrateIdsToInline()
+                        } else {
+                            await this.plugin.migrateIdsToSidecar()
+                        }
+                        this.display()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Id Integrity')
+            .setDesc('Look for ids used twice, e.g. after copy-pasting tasks between boards, and history pointing at deleted items')
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Check')
+                    .onClick(() => this.plugin.checkIds())
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Plan Size')
+            .setDesc('Number of tasks in a daily plan when no time budget is given')
+            .addText((text) =>
+                text
+                    .setPlaceholder('5')
+                    .setValue(String(this.plugin.save.planSize))
+                    .onChange(async (value) => {
+                        const size = parseInt(value, 10)
+                        if (!(size > 0)) return
+
+                        this.plugin.save.planSize = size
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Plan Tasks Per Project')
+            .setDesc('At most this many tasks of one project go into a daily plan')
+            .addText((text) =>
+                text
+                    .setPlaceholder('2')
+                    .setValue(String(this.plugin.save.planPerProject))
+                    .onChange(async (value) => {
+                        const limit = parseInt(value, 10)
+                        if (!(limit > 0)) return
+
+                        this.plugin.save.planPerProject = limit
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Plan In Daily Note')
+            .setDesc(`Also write the plan as a checklist under "${PLAN_HEADING.replace(/^#+ /, '')}" in today's daily note`)
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(this.plugin.save.planDailyNote)
+                    .onChange(async (value) => {
+                        this.plugin.save.planDailyNote = value
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Focus Timer')
+            .setDesc('Start a focus session with pomodoro cycles whenever you accept a suggestion')
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(this.plugin.save.focusTimer)
+                    .onChange(async (value) => {
+                        this.plugin.save.focusTimer = value
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        const addMinutesSetting = (name, desc, key) => {
+            new obsidian.Setting(containerEl)
+                .setName(name)
+                .setDesc(desc)
+                .addText((text) =>
+                    text
+                        .setValue(formatDuration(this.plugin.save[key]))
+                        .onChange(async (value) => {
+                            const minutes = parseDuration(value)
+                            if (!(minutes > 0)) return
+
+                            this.plugin.save[key] = minutes
+                            await this.plugin.saveData(this.plugin.save)
+                        })
+                )
+        }
+        addMinutesSetting('Focus Length', 'Length of one focus period, e.g. 25m', 'focusMinutes')
+        addMinutesSetting('Break Length', 'Length of the break between focus periods, e.g. 5m', 'breakMinutes')
+
+        new obsidian.Setting(containerEl)
+            .setName('Focus Periods Per Session')
+            .setDesc('After the last one you are asked whether the task is done')
+            .addText((text) =>
+                text
+                    .setPlaceholder('4')
+                    .setValue(String(this.plugin.save.focusCycles))
+                    .onChange(async (value) => {
+                        const cycles = parseInt(value, 10)
+                        if (!(cycles > 0)) return
+
+                        this.plugin.save.focusCycles = cycles
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Neglect Half-Life')
+            .setDesc('Days after which a project you worked on is halfway back to the priority of a never touched one')
+            .addText((text) =>
+                text
+                    .setPlaceholder('7')
+                    .setValue(String(this.plugin.save.neglectHalfLife))
+                    .onChange(async (value) => {
+                        const days = parseFloat(value)
+                        if (!(days > 0)) return
+
+                        this.plugin.save.neglectHalfLife = days
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Tasks Without Estimate')
+            .setDesc('Whether tasks with no effort estimate fit into the "Time I have" budget')
+            .addDropdown((dropdown) =>
+                dropdown
+                    .addOption('include', 'Always include')
+                    .addOption('exclude', 'Always exclude')
+                    .setValue(this.plugin.save.unestimatedTasks)
+                    .onChange(async (value) => {
+                        this.plugin.save.unestimatedTasks = value
+                        await this.plugin.saveData(this.plugin.save)
+                    })
+            )
+
+        this.displayScoringSettings(containerEl)
+        this.displayPresetSettings(containerEl)
+    }
+
+    displayScoringSettings(containerEl) {
+        const save = this.plugin.save
+
+        const addWeightText = (setting, weights, key) =>
+            setting.addText((text) =>
+                text
+                    .setPlaceholder(String(DEFAULT_DIMENSION_WEIGHTS[key] ?? DEFAULT_PRIORITY_WEIGHTS[key]))
+                    .setValue(String(weights[key]))
+                    .onChange(async (value) => {
+                        const weight = parseFloat(value)
+                        if (!(weight >= 0)) return
+
+                        weights[key] = weight
+                        await this.plugin.saveData(save)
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Scoring')
+            .setDesc('Every task gets a score from the neglect of its project and its priority in each dimension. The priority weight of the level is multiplied by the dimension weight and by a random factor, so higher weights make a dimension matter more')
+            .setHeading()
+
+        const dimensionDescs = {
+            neglect: 'Added in full for a never worked on project, fading with the Neglect Half-Life',
+            urgency: 'The urgency frontmatter field, due dates and the ! mark',
+            strategy: 'The strategy frontmatter field',
+            interest: 'The interest frontmatter field'
+        }
+        for (const key in DEFAULT_DIMENSION_WEIGHTS) {
+            addWeightText(
+                new obsidian.Setting(containerEl)
+                    .setName(`${capitalize(key)} Weight`)
+                    .setDesc(dimensionDescs[key]),
+                save.dimensionWeights, key
+            )
+        }
+
+        for (const key in DEFAULT_PRIORITY_WEIGHTS) {
+            addWeightText(
+                new obsidian.Setting(containerEl)
+                    .setName(`Priority Weight: ${capitalize(key)}`),
+                save.priorityWeights, key
+            )
+        }
+
+        const seedSetting = new obsidian.Setting(containerEl)
+            .setName('Random Seed')
+            .setDesc('Makes the random factors repeatable, so the same tasks and history always give the same ranking. Useful while tuning priorities, leave empty for normal use')
+            .addText((text) =>
+                text
+                    .setPlaceholder('Not seeded')
+                    .setValue(save.randomSeed === null ? '' : String(save.randomSeed))
+                    .onChange(async (value) => {
+                        value = value.trim()
+                        if (value !== '' && !/^-?\d+$/.test(value)) {
+                            seedErrorEl.setText(`"${value}" is not a whole number, the seed stays ${save.randomSeed ?? 'unset'}`)
+                            return
+                        }
+
+                        seedErrorEl.setText('')
+                        save.randomSeed = value === '' ? null : parseInt(value, 10)
+                        await this.plugin.saveData(save)
+                    })
+            )
+        const seedErrorEl = seedSetting.descEl.createDiv({ cls: 'busy-mango-setting-error' })
+
+        new obsidian.Setting(containerEl)
+            .setName('Custom Dimensions')
+            .setDesc('Extra frontmatter fields scored like urgency, strategy and interest, e.g. energy: high. Projects without the field count as none')
+            .setHeading()
+
+        save.customDimensions.forEach((dimension, i) => {
+            const dimensionSetting = new obsidian.Setting(containerEl)
+                .addText((text) =>
+                    text
+                        .setPlaceholder('Frontmatter field')
+                        .setValue(dimension.name)
+                        .onChange(async (value) => {
+                            value = value.trim()
+                            if (BUILT_IN_DIMENSIONS.includes(value)) {
+                                nameErrorEl.setText(`"${value}" is already scored as a built-in dimension, pick another field`)
+                                return
+                            }
+
+                            nameErrorEl.setText('')
+                            dimension.name = value
+                            await this.plugin.saveData(save)
+                            this.plugin.reloadLibraryDebounced()
+                        })
+                )
+                .addText((text) =>
+                    text
+                        .setPlaceholder('Weight')
+                        .setValue(String(dimension.weight))
+                        .onChange(async (value) => {
+                            const weight = parseFloat(value)
+                            if (!(weight >= 0)) return
+
+                            dimension.weight = weight
+                            await this.plugin.saveData(save)
+                        })
+                )
+                .addExtraButton((btn) =>
+                    btn
+                        .setIcon('trash')
+                        .setTooltip('Remove dimension')
+                        .onClick(async () => {
+                            save.customDimensions.splice(i, 1)
+                            await this.plugin.saveData(save)
+                            this.plugin.reloadLibraryDebounced()
+                            this.display()
+                        })
+                )
+            const nameErrorEl = dimensionSetting.descEl.createDiv({ cls: 'busy-mango-setting-error' })
+        })
+
+        new obsidian.Setting(containerEl)
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Add dimension')
+                    .onClick(async () => {
+                        save.customDimensions.push({ name: '', weight: 10 })
+                        await this.plugin.saveData(save)
+                        this.display()
+                    })
+            )
+    }
+
+    // presets as editable queries, including those saved from the filter builder
+    displayPresetSettings(containerEl) {
+        new obsidian.Setting(containerEl)
+            .setName('Filter Presets')
+            .setDesc('Buttons next to the built-in filters, each running a query like area:work urgency>=high -project:"Old Site" effort<30m')
+            .setHeading()
+
+        for (const preset of this.plugin.save.filterPresets) {
+            const query = preset.query ?? formatQuery(preset.criteria)
+            const setting = new obsidian.Setting(containerEl)
+                .setName(preset.name)
+                .addText((text) =>
+                    text
+                        .setValue(query)
+                        .onChange(async (value) => {
+                            const { error } = parseQuery(value)
+                            errorEl.setText(error ? describeQueryError(error) : '')
+                            if (error) return
+
+                            preset.query = value
+                            delete preset.criteria
+                            await this.plugin.saveData(this.plugin.save)
+                            this.plugin.renderLibraryViews()
+                        })
+                )
+                .addExtraButton((btn) =>
+                    btn
+                        .setIcon('trash')
+                        .setTooltip('Delete preset')
+                        .onClick(async () => {
+                            await this.plugin.deletePreset(preset.name)
+                            this.display()
+                        })
+                )
+            const errorEl = setting.descEl.createDiv({ cls: 'busy-mango-query-error' })
+        }
+
+        let name = ''
+        let query = ''
+        const newSetting = new obsidian.Setting(containerEl)
+            .setName('New preset')
+            .addText((text) =>
+                text
+                    .setPlaceholder('Name')
+                    .onChange((value) => {
+                        name = value.trim()
+                    })
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder('Query')
+                    .onChange((value) => {
+                        query = value
+                        const { error } = parseQuery(query)
+                        newErrorEl.setText(error ? describeQueryError(error) : '')
+                    })
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Add')
+                    .onClick(async () => {
+                        if (!name || parseQuery(query).error) return
+
+                        await this.plugin.savePreset(name, { query })
+                        this.display()
+                    })
+            )
+        const newErrorEl = newSetting.descEl.createDiv({ cls: 'busy-mango-query-error' })
+    }
+
+    displayColumnSettings(containerEl) {
+        const save = this.plugin.save
+
+        const addRoleOptions = (dropdown) => {
+            for (const type in BoardTypeNames) {
+                dropdown.addOption(BoardTypeNames[type], capitalize(BoardTypeNames[type].replace('-', ' ')))
+            }
+            return dropdown
+        }
+
+        new obsidian.Setting(containerEl)
+            .setName('Kanban Columns')
+            .setDesc('Board role of each column heading. A heading takes the role of the first matching rule. Patterns match the whole heading ignoring case, or are regexes in slashes like /^in (work|progress)$/i')
+            .setHeading()
+
+        save.columnRules.forEach((rule, i) => {
+            new obsidian.Setting(containerEl)
+                .addText((text) =>
+                    text
+                        .setPlaceholder('Column heading')
+                        .setValue(rule.pattern)
+                        .onChange(async (value) => {
+                            rule.pattern = value
+                            await this.plugin.saveData(save)
+                            this.plugin.reloadLibraryDebounced()
+                        })
+                )
+                .addDropdown((dropdown) =>
+                    addRoleOptions(dropdown)
+                        .setValue(rule.role)
+                        .onChange(async (value) => {
+                            rule.role = value
+                            await this.plugin.saveData(save)
+                            this.plugin.reloadLibraryDebounced()
+                        })
+                )
+                .addExtraButton((btn) =>
+                    btn
+                        .setIcon('trash')
+                        .setTooltip('Remove rule')
+                        .onClick(async () => {
+                            save.columnRules.splice(i, 1)
+                            await this.plugin.saveData(save)
+                            this.plugin.reloadLibraryDebounced()
+                            this.display()
+                        })
+                )
+        })
+
+        new obsidian.Setting(containerEl)
+            .addButton((btn) =>
+                btn
+                    .setButtonText('Add rule')
+                    .onClick(async () => {
+                        save.columnRules.push({ pattern: '', role: 'ignored' })
+                        await this.plugin.saveData(save)
+                        this.display()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Unmatched Columns')
+            .setDesc('Role of columns no rule matches')
+            .addDropdown((dropdown) =>
+                addRoleOptions(dropdown)
+                    .setValue(save.unmatchedColumnRole)
+                    .onChange(async (value) => {
+                        save.unmatchedColumnRole = value
+                        await this.plugin.saveData(save)
+                        this.plugin.reloadLibraryDebounced()
+                    })
+            )
+
+        new obsidian.Setting(containerEl)
+            .setName('Fallback Order')
+            .setDesc('Comma-separated roles tried in turn, tasks come from the first one that has any. Repetitive tasks are always included')
+            .addText((text) =>
+                text
+                    .setPlaceholder('in-work, todo')
+                    .setValue(save.columnFallbackOrder.join(', '))
+                    .onChange(async (value) => {
+                        save.columnFallbackOrder = value
+                            .split(',')
+                            .map(name => name.trim().toLowerCase())
+                            .filter(name => boardTypeFromName(name) !== null)
+                        await this.plugin.saveData(save)
                     })
             )
     }